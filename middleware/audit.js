@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Fields whose values never go into the audit trail; a change is still recorded
+const REDACTED_FIELDS = ['password', 'tokenHash', 'refreshTokenHash', 'previousTokenHash', 'twoFactorSecret', 'codeHash'];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+const comparable = (value) => (value instanceof Date ? value.toISOString() : JSON.stringify(value));
+
+// Fields that differ between two snapshots as { field: { from, to } }.
+// A created entity has no `before` and a deleted one no `after`.
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (comparable(from) === comparable(to)) return;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from === undefined ? null : '[redacted]', to: to === undefined ? null : '[redacted]' }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Id of the record a route created, taken from the `data` of its response
+const createdId = (body) => {
+  const data = body && body.data;
+  if (!data || typeof data !== 'object') return null;
+
+  const record = Object.values(data).find(value => value && typeof value === 'object' && typeof value.id === 'string');
+  return record ? record.id : null;
+};
+
+// Record a mutating route in the audit trail. The entity is loaded before the
+// handler runs and again once a successful response has gone out, and the
+// difference is stored with the user, route and client address. `id` picks the
+// entity from the request (the :id param by default); when it finds none, the
+// record the route created is taken from the response. Failed requests are not
+// recorded, and a failure to write the trail never fails the request.
+const auditTrail = (entity, {
+  model = entity.charAt(0).toLowerCase() + entity.slice(1),
+  key = 'id',
+  id = (req) => req.params.id
+} = {}) => {
+  return async (req, res, next) => {
+    const lookup = id(req);
+
+    let before = null;
+    try {
+      before = lookup ? await prisma[model].findUnique({ where: { [key]: lookup } }) : null;
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const entityId = before ? before.id : createdId(body);
+        const after = entityId ? await prisma[model].findUnique({ where: { id: entityId } }) : null;
+
+        await prisma.auditLog.create({
+          data: {
+            // Logins and registrations are made by the user they concern
+            userId: req.user ? req.user.id : (entity === 'User' ? entityId : null),
+            method: req.method,
+            route: `${req.method} ${req.baseUrl}${req.route.path}`,
+            path: req.originalUrl,
+            entity,
+            entityId,
+            changes: diff(before, after),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent') || null,
+            statusCode: res.statusCode
+          }
+        });
+      } catch (error) {
+        console.error('Audit log error:', error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
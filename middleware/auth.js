@@ -1,11 +1,74 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { touchSession } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
 
 const prisma = new PrismaClient();
 
-const authenticateToken = async (req, res, next) => {
+const bearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Accept a verified token's session and user, or answer 401
+const authenticateSession = async (req, res, next, decoded) => {
+  // The token's session must still be open; logging out, changing the
+  // password or an admin revokes it before the token itself expires
+  const session = decoded.sessionId
+    ? await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: {
+        id: true,
+        userId: true,
+        expiresAt: true,
+        revokedAt: true,
+        lastUsedAt: true,
+        twoFactorVerified: true
+      }
+    })
+    : null;
+
+  if (!session || session.userId !== decoded.userId || session.revokedAt || session.expiresAt <= new Date()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session has expired or been revoked'
+    });
+  }
+
+  // Verify user still exists and is active
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      isActive: true
+    }
+  });
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or inactive user'
+    });
+  }
+
+  await touchSession(prisma, session, req);
+
+  req.user = user;
+  req.sessionId = session.id;
+  req.twoFactorVerified = session.twoFactorVerified;
+  next();
+};
+
+const invalidToken = (res) => res.status(403).json({
+  success: false,
+  message: 'Invalid or expired token'
+});
+
+const authenticateToken = async (req, res, next) => {
+  const token = bearerToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -16,35 +79,46 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user still exists and is active
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true
-      }
-    });
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or inactive user'
-      });
+    // Stream tokens open only the stream they were issued for
+    if (decoded.purpose) {
+      return invalidToken(res);
     }
 
-    req.user = user;
-    next();
+    await authenticateSession(req, res, next, decoded);
   } catch (error) {
     console.error('Token verification error:', error);
-    return res.status(403).json({
+    return invalidToken(res);
+  }
+};
+
+// For event streams: the usual Authorization header, or else a stream token
+// from the `token` query parameter issued for `resource(req)`
+const authenticateStream = (resource) => async (req, res, next) => {
+  if (bearerToken(req)) {
+    return authenticateToken(req, res, next);
+  }
+
+  const { token } = req.query;
+  if (!token) {
+    return res.status(401).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: 'Access token required'
     });
   }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== 'stream' || decoded.resource !== resource(req)) {
+      return invalidToken(res);
+    }
+
+    await authenticateSession(req, res, next, decoded);
+  } catch (error) {
+    console.error('Stream token verification error:', error);
+    return invalidToken(res);
+  }
 };
 
 const requireRole = (roles) => {
@@ -63,6 +137,16 @@ const requireRole = (roles) => {
       });
     }
 
+    // Roles with enforced two-factor need a session that completed it;
+    // until then only the two-factor setup routes are open to them
+    if (isTwoFactorRequired(req.user.role) && !req.twoFactorVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+        twoFactorRequired: true
+      });
+    }
+
     next();
   };
 };
@@ -73,6 +157,7 @@ const requireCollectorOrAdmin = requireRole(['COLLECTOR', 'ADMIN']);
 
 module.exports = {
   authenticateToken,
+  authenticateStream,
   requireRole,
   requireAdmin,
   requireAgentOrAdmin,
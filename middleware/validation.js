@@ -28,13 +28,87 @@ const userValidations = {
   register: [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-    body('role').optional().isIn(['ADMIN', 'AGENT', 'COLLECTOR']).withMessage('Invalid role')
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+  ],
+
+  acceptInvite: [
+    body('token').isString().notEmpty().withMessage('Invitation token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
   ],
   
   login: [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required')
+  ],
+
+  refresh: [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+
+  create: [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('role').isIn(['ADMIN', 'AGENT', 'COLLECTOR']).withMessage('Invalid role')
+  ],
+
+  role: [
+    body('role').isIn(['ADMIN', 'AGENT', 'COLLECTOR']).withMessage('Invalid role')
+  ],
+
+  resetPassword: [
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+  ],
+
+  forgotPassword: [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+  ],
+
+  resetWithCode: [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('code').matches(/^\d{6}$/).withMessage('Reset code must be 6 digits'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+  ],
+
+  // Second sign-in step: an authenticator code or one of the backup codes
+  twoFactorLogin: [
+    body('twoFactorToken').isString().notEmpty().withMessage('Two-factor token is required'),
+    body('code').custom((value, { req }) => {
+      if (!value && !req.body.backupCode) {
+        throw new Error('An authentication code or a backup code is required');
+      }
+      if (value && !/^\d{6}$/.test(String(value))) {
+        throw new Error('Code must be 6 digits');
+      }
+      return true;
+    })
+  ],
+
+  twoFactorCode: [
+    body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+  ],
+
+  twoFactorDisable: [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').custom((value, { req }) => {
+      if (!value && !req.body.backupCode) {
+        throw new Error('An authentication code or a backup code is required');
+      }
+      if (value && !/^\d{6}$/.test(String(value))) {
+        throw new Error('Code must be 6 digits');
+      }
+      return true;
+    })
+  ]
+};
+
+// Invitation validation rules
+const invitationValidations = {
+  create: [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('role').isIn(['ADMIN', 'AGENT', 'COLLECTOR']).withMessage('Invalid role')
   ]
 };
 
@@ -77,8 +151,14 @@ const chitSchemeValidations = {
     body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
     body('commissionRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Commission rate must be between 0 and 1'),
     body('penaltyRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Penalty rate must be between 0 and 1'),
+    body('penaltyGraceDays').optional().isInt({ min: 0 }).withMessage('Penalty grace days must be non-negative').toInt(),
+    body('branchCode').optional().trim().matches(/^[A-Z0-9]{2,10}$/).withMessage('Branch code must be 2-10 capital letters or digits'),
     body('minBidAmount').optional().isInt({ min: 0 }).withMessage('Minimum bid amount must be non-negative'),
     body('maxBidAmount').optional().isInt({ min: 0 }).withMessage('Maximum bid amount must be non-negative'),
+    body('bidIncrement').optional().isInt({ min: 1 }).withMessage('Bid increment must be at least ₹1'),
+    body('generateAuctions').optional().isBoolean().withMessage('generateAuctions must be a boolean').toBoolean(),
+    body('auctionInterval').optional().isInt({ min: 1 }).withMessage('Auction interval must be at least 1').toInt(),
+    body('auctionIntervalUnit').optional().isIn(['DAYS', 'MONTHS']).withMessage('Auction interval unit must be DAYS or MONTHS'),
     body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
     body('status').optional().isIn(['ACTIVE', 'PAUSED', 'COMPLETED']).withMessage('Invalid status')
   ],
@@ -120,8 +200,13 @@ const chitSchemeValidations = {
     body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
     body('commissionRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Commission rate must be between 0 and 1'),
     body('penaltyRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Penalty rate must be between 0 and 1'),
+    body('penaltyGraceDays').optional().isInt({ min: 0 }).withMessage('Penalty grace days must be non-negative').toInt(),
+    body('branchCode').optional().trim().matches(/^[A-Z0-9]{2,10}$/).withMessage('Branch code must be 2-10 capital letters or digits'),
     body('minBidAmount').optional().isInt({ min: 0 }).withMessage('Minimum bid amount must be non-negative'),
     body('maxBidAmount').optional().isInt({ min: 0 }).withMessage('Maximum bid amount must be non-negative'),
+    body('bidIncrement').optional().isInt({ min: 1 }).withMessage('Bid increment must be at least ₹1'),
+    body('auctionInterval').optional().isInt({ min: 1 }).withMessage('Auction interval must be at least 1').toInt(),
+    body('auctionIntervalUnit').optional().isIn(['DAYS', 'MONTHS']).withMessage('Auction interval unit must be DAYS or MONTHS'),
     body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
     body('status').optional().isIn(['ACTIVE', 'PAUSED', 'COMPLETED']).withMessage('Invalid status')
   ]
@@ -164,18 +249,23 @@ const customerValidations = {
 // Collection validation rules
 const collectionValidations = {
   create: [
-    body('customerId').isString().notEmpty().withMessage('Valid customer ID is required'),
-    body('amountPaid').isInt({ min: 0 }).withMessage('Amount paid must be non-negative'),
+    body('customerSchemeId').isString().notEmpty().withMessage('Valid customer scheme ID is required'),
+    body('customerId').optional().isString().notEmpty().withMessage('Valid customer ID is required'),
+    body('amountPaid').isInt({ min: 0 }).withMessage('Amount paid must be non-negative').toInt(),
     body('date').isISO8601().withMessage('Valid date is required'),
-    body('balanceRemaining').isInt({ min: 0 }).withMessage('Balance remaining must be non-negative'),
+    body('balanceRemaining').optional().isInt({ min: 0 }).withMessage('Balance remaining must be non-negative'),
     body('paymentMethod').isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CHEQUE', 'NOT_PAID']).withMessage('Invalid payment method')
   ],
   
   update: [
-    body('amountPaid').optional().isInt({ min: 0 }).withMessage('Amount paid must be non-negative'),
+    body('amountPaid').optional().isInt({ min: 0 }).withMessage('Amount paid must be non-negative').toInt(),
     body('date').optional().isISO8601().withMessage('Valid date is required'),
     body('balanceRemaining').optional().isInt({ min: 0 }).withMessage('Balance remaining must be non-negative'),
     body('paymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CHEQUE', 'NOT_PAID']).withMessage('Invalid payment method')
+  ],
+
+  reverse: [
+    body('reason').trim().isLength({ min: 3 }).withMessage('A reason for the reversal is required')
   ]
 };
 
@@ -254,6 +344,79 @@ const auctionValidations = {
       return true;
     }),
     body('status').optional().isIn(['SCHEDULED', 'COMPLETED', 'CANCELLED']).withMessage('Invalid status')
+  ],
+
+  bid: [
+    body('customerId').isString().notEmpty().withMessage('Valid customer ID is required'),
+    body('discountAmount').isInt({ min: 1 }).withMessage('Bid discount must be at least ₹1').toInt()
+  ],
+
+  draw: [
+    body('discountAmount').optional().isInt({ min: 0 }).withMessage('Discount amount must be non-negative').toInt()
+  ]
+};
+
+// Penalty validation rules
+const penaltyValidations = {
+  waive: [
+    body('reason').trim().isLength({ min: 3 }).withMessage('A reason for the waiver is required')
+  ]
+};
+
+// Report validation rules
+const reportValidations = {
+  export: [
+    query('format').optional().isIn(['csv', 'xlsx', 'pdf']).withMessage('Format must be csv, xlsx or pdf')
+  ]
+};
+
+// Receipt validation rules
+const receiptValidations = {
+  print: [
+    query('format').optional().isIn(['json', 'pdf', 'text']).withMessage('Format must be json, pdf or text'),
+    query('width').optional().isInt({ min: 24, max: 64 }).withMessage('Width must be between 24 and 64 characters').toInt()
+  ],
+  cancel: [
+    body('reason').trim().isLength({ min: 3 }).withMessage('A reason for the cancellation is required')
+  ]
+};
+
+// Audit trail validation rules
+const auditValidations = {
+  list: [
+    query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+    query('endDate').optional().isISO8601().withMessage('Valid end date is required')
+  ]
+};
+
+// Holiday validation rules
+const holidayValidations = {
+  create: [
+    body('date').isISO8601().withMessage('Valid date is required'),
+    body('name').trim().isLength({ min: 2 }).withMessage('Holiday name must be at least 2 characters')
+  ]
+};
+
+// Payout validation rules
+const payoutValidations = {
+  guarantor: [
+    body('guarantorName').optional().trim().isLength({ min: 2 }).withMessage('Guarantor name must be at least 2 characters'),
+    body('guarantorMobile').optional().isMobilePhone('en-IN').withMessage('Valid guarantor mobile number is required'),
+    body('guarantorAddress').optional().trim().notEmpty().withMessage('Guarantor address cannot be empty'),
+    body('guarantorRelation').optional().trim().notEmpty().withMessage('Guarantor relation cannot be empty'),
+    body('securityDocuments').optional().isArray().withMessage('Security documents must be a list'),
+    body('securityDocuments.*').isString().trim().notEmpty().withMessage('Security document cannot be empty')
+  ],
+
+  release: [
+    body('paymentMethod').isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CHEQUE']).withMessage('Invalid payment method'),
+    body('paymentReference').custom((value, { req }) => {
+      if (req.body.paymentMethod !== 'CASH' && (!value || !String(value).trim())) {
+        throw new Error('Payment reference is required for non-cash payouts');
+      }
+      return true;
+    }),
+    body('paidAt').optional().isISO8601().withMessage('Valid payment date is required')
   ]
 };
 
@@ -273,10 +436,22 @@ const passbookValidations = {
       const num = parseInt(value);
       return !isNaN(num) && num >= 0;
     }).withMessage('Chit lifting amount must be non-negative'),
-    body('type').optional().isIn(['GENERATED', 'MANUAL']).withMessage('Invalid entry type'),
+    body('type').optional().isIn(['MANUAL']).withMessage('Only manual entries can be posted; installments are generated on enrollment'),
     body('paymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CHEQUE', 'NOT_PAID']).withMessage('Invalid payment method'),
     body('paymentFrequency').optional().isIn(['DAILY', 'MONTHLY']).withMessage('Invalid payment frequency'),
     body('chitLifting').optional().isIn(['YES', 'NO']).withMessage('Chit lifting must be YES or NO')
+  ],
+  update: [
+    body('amount').optional().isInt({ min: 0 }).withMessage('Amount must be non-negative'),
+    body('date').optional().isISO8601().withMessage('Valid date is required'),
+    body('month').optional().isInt({ min: 1 }).withMessage('Month must be a positive number'),
+    body('paymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CHEQUE', 'NOT_PAID']).withMessage('Invalid payment method')
+  ],
+  pdf: [
+    query('schemeId').isString().notEmpty().withMessage('Scheme ID is required')
+  ],
+  reverse: [
+    body('reason').trim().isLength({ min: 3 }).withMessage('A reason for the reversal is required')
   ]
 };
 
@@ -284,9 +459,16 @@ module.exports = {
   handleValidationErrors,
   commonValidations,
   userValidations,
+  invitationValidations,
   chitSchemeValidations,
   customerValidations,
   collectionValidations,
   auctionValidations,
-  passbookValidations
+  holidayValidations,
+  penaltyValidations,
+  payoutValidations,
+  passbookValidations,
+  reportValidations,
+  receiptValidations,
+  auditValidations
 };
@@ -0,0 +1,80 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  postCollection,
+  postPassbookPayment,
+  postAuctionResult,
+  postPayout,
+  postPenalties,
+  postPenaltyWaiver
+} = require('../services/ledger');
+
+const prisma = new PrismaClient();
+
+// Post journal entries for records created before the ledger existed. Records
+// already posted are skipped, so this is safe to run more than once.
+async function main() {
+  console.log('📒 Posting existing records to the ledger...');
+
+  const collections = await prisma.collection.findMany();
+  for (const collection of collections) {
+    await prisma.$transaction(tx => postCollection(tx, collection, collection.collectorId));
+  }
+  console.log(`✅ ${collections.length} collection(s)`);
+
+  const entries = await prisma.passbookEntry.findMany({
+    where: { type: 'MANUAL' }
+  });
+  for (const entry of entries) {
+    await prisma.$transaction(tx => postPassbookPayment(tx, entry, null));
+  }
+  console.log(`✅ ${entries.length} passbook payment(s)`);
+
+  const auctions = await prisma.auction.findMany({
+    where: {
+      status: 'COMPLETED',
+      dividendAmount: { not: null }
+    },
+    include: { chitScheme: true }
+  });
+  for (const auction of auctions) {
+    await prisma.$transaction(tx => postAuctionResult(tx, auction, {
+      chitValue: auction.chitScheme.chitValue,
+      dividendAmount: auction.dividendAmount
+    }));
+  }
+  console.log(`✅ ${auctions.length} auction result(s)`);
+
+  const payouts = await prisma.payout.findMany({
+    where: { status: 'PAID' }
+  });
+  for (const payout of payouts) {
+    await prisma.$transaction(tx => postPayout(tx, payout, payout.releasedById));
+  }
+  console.log(`✅ ${payouts.length} payout(s)`);
+
+  const charged = await prisma.penalty.groupBy({
+    by: ['customerSchemeId'],
+    _sum: { amount: true }
+  });
+  for (const row of charged) {
+    await prisma.$transaction(tx => postPenalties(tx, row.customerSchemeId, row._sum.amount || 0));
+  }
+  const waived = await prisma.penalty.findMany({
+    where: { waivedAt: { not: null } }
+  });
+  for (const penalty of waived) {
+    await prisma.$transaction(tx => postPenaltyWaiver(tx, penalty, penalty.waivedById));
+  }
+  console.log(`✅ Penalties on ${charged.length} membership(s), ${waived.length} waiver(s)`);
+
+  console.log('🎉 Ledger backfill completed successfully!');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error during ledger backfill:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "collections" ADD COLUMN     "customerSchemeId" TEXT;
+
+-- Attribute existing collections to the customer's membership where it is unambiguous
+UPDATE "collections"
+SET "customerSchemeId" = (
+    SELECT cs."id"
+    FROM "customer_schemes" cs
+    WHERE cs."customerId" = "collections"."customerId"
+)
+WHERE (
+    SELECT COUNT(*)
+    FROM "customer_schemes" cs
+    WHERE cs."customerId" = "collections"."customerId"
+) = 1;
+
+-- AddForeignKey
+ALTER TABLE "collections" ADD CONSTRAINT "collections_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
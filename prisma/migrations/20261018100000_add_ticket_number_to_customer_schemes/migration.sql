@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "customer_schemes" ADD COLUMN     "ticketNumber" INTEGER;
+
+-- Number existing members in enrollment order within each scheme
+UPDATE "customer_schemes"
+SET "ticketNumber" = numbered."ticketNumber"
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "schemeId" ORDER BY "enrolledAt", "id") AS "ticketNumber"
+    FROM "customer_schemes"
+) numbered
+WHERE "customer_schemes"."id" = numbered."id";
+
+-- Make ticketNumber required
+ALTER TABLE "customer_schemes" ALTER COLUMN "ticketNumber" SET NOT NULL;
+
+-- Resync enrolled counts with the actual memberships
+UPDATE "chit_schemes"
+SET "membersEnrolled" = (
+    SELECT COUNT(*)
+    FROM "customer_schemes" cs
+    WHERE cs."schemeId" = "chit_schemes"."id"
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_schemes_schemeId_ticketNumber_key" ON "customer_schemes"("schemeId", "ticketNumber");
@@ -0,0 +1,30 @@
+-- AlterEnum
+ALTER TYPE "AuctionStatus" ADD VALUE 'LIVE';
+
+-- AlterTable
+ALTER TABLE "chit_schemes" ADD COLUMN     "bidIncrement" INTEGER;
+
+-- AlterTable
+ALTER TABLE "auctions" ADD COLUMN     "closedAt" TIMESTAMP(3),
+ADD COLUMN     "openedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "bids" (
+    "id" TEXT NOT NULL,
+    "auctionId" TEXT NOT NULL,
+    "customerSchemeId" TEXT NOT NULL,
+    "discountAmount" INTEGER NOT NULL,
+    "placedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bids_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "bids" ADD CONSTRAINT "bids_auctionId_fkey" FOREIGN KEY ("auctionId") REFERENCES "auctions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bids" ADD CONSTRAINT "bids_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bids" ADD CONSTRAINT "bids_placedById_fkey" FOREIGN KEY ("placedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
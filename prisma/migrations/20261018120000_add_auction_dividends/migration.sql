@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "auctions" ADD COLUMN     "commissionAmount" INTEGER,
+ADD COLUMN     "dividendAmount" INTEGER;
+
+-- CreateTable
+CREATE TABLE "dividends" (
+    "id" TEXT NOT NULL,
+    "auctionId" TEXT NOT NULL,
+    "customerSchemeId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dividends_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dividends_auctionId_customerSchemeId_key" ON "dividends"("auctionId", "customerSchemeId");
+
+-- AddForeignKey
+ALTER TABLE "dividends" ADD CONSTRAINT "dividends_auctionId_fkey" FOREIGN KEY ("auctionId") REFERENCES "auctions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dividends" ADD CONSTRAINT "dividends_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "customer_schemes" ADD COLUMN     "prizedAuctionId" TEXT,
+ADD COLUMN     "prizedAt" TIMESTAMP(3);
+
+-- Backfill: members who already won are prized by their earliest completed auction
+UPDATE "customer_schemes" cs
+SET "prizedAuctionId" = w."id",
+    "prizedAt" = w."auctionDate"
+FROM (
+    SELECT DISTINCT ON (a."chitSchemeId", a."winningMemberId")
+        a."id", a."chitSchemeId", a."winningMemberId", a."auctionDate"
+    FROM "auctions" a
+    WHERE a."status" = 'COMPLETED' AND a."winningMemberId" IS NOT NULL
+    ORDER BY a."chitSchemeId", a."winningMemberId", a."auctionDate", a."createdAt"
+) w
+WHERE cs."schemeId" = w."chitSchemeId"
+  AND cs."customerId" = w."winningMemberId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_schemes_prizedAuctionId_key" ON "customer_schemes"("prizedAuctionId");
+
+-- AddForeignKey
+ALTER TABLE "customer_schemes" ADD CONSTRAINT "customer_schemes_prizedAuctionId_fkey" FOREIGN KEY ("prizedAuctionId") REFERENCES "auctions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
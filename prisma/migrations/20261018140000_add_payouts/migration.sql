@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "PayoutStatus" AS ENUM ('PENDING_DOCUMENTS', 'GUARANTOR_VERIFIED', 'APPROVED', 'PAID');
+
+-- CreateTable
+-- Auctions completed before this migration were settled outside the system,
+-- so no payouts are backfilled for them.
+CREATE TABLE "payouts" (
+    "id" TEXT NOT NULL,
+    "auctionId" TEXT NOT NULL,
+    "customerSchemeId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "status" "PayoutStatus" NOT NULL DEFAULT 'PENDING_DOCUMENTS',
+    "guarantorName" TEXT,
+    "guarantorMobile" TEXT,
+    "guarantorAddress" TEXT,
+    "guarantorRelation" TEXT,
+    "securityDocuments" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "verifiedById" TEXT,
+    "verifiedAt" TIMESTAMP(3),
+    "approvedById" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "paymentMethod" "PaymentMethod",
+    "paymentReference" TEXT,
+    "releasedById" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "remarks" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payouts_auctionId_key" ON "payouts"("auctionId");
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_auctionId_fkey" FOREIGN KEY ("auctionId") REFERENCES "auctions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_verifiedById_fkey" FOREIGN KEY ("verifiedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_releasedById_fkey" FOREIGN KEY ("releasedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "auctions" ADD COLUMN     "drawCandidates" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "drawSeed" TEXT,
+ADD COLUMN     "drawnAt" TIMESTAMP(3);
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "chit_schemes" ADD COLUMN     "auctionInterval" INTEGER,
+ADD COLUMN     "auctionIntervalUnit" "DurationType";
+
+-- CreateTable
+CREATE TABLE "holidays" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "holidays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "holidays_date_key" ON "holidays"("date");
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "chit_schemes" ADD COLUMN     "penaltyGraceDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "penalties" (
+    "id" TEXT NOT NULL,
+    "customerSchemeId" TEXT NOT NULL,
+    "passbookEntryId" TEXT,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "period" INTEGER NOT NULL,
+    "chargedOn" TIMESTAMP(3) NOT NULL,
+    "overdueAmount" INTEGER NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "waivedAt" TIMESTAMP(3),
+    "waivedById" TEXT,
+    "waiverReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "penalties_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "penalties_passbookEntryId_period_key" ON "penalties"("passbookEntryId", "period");
+
+-- AddForeignKey
+ALTER TABLE "penalties" ADD CONSTRAINT "penalties_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "penalties" ADD CONSTRAINT "penalties_passbookEntryId_fkey" FOREIGN KEY ("passbookEntryId") REFERENCES "passbook_entries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "penalties" ADD CONSTRAINT "penalties_waivedById_fkey" FOREIGN KEY ("waivedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
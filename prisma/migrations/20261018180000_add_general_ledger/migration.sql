@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "JournalSource" AS ENUM ('COLLECTION', 'PASSBOOK', 'AUCTION', 'COMMISSION', 'DIVIDEND', 'PAYOUT', 'PENALTY', 'PENALTY_WAIVER');
+
+-- CreateTable
+-- Existing records are posted by `npm run db:backfill-ledger` after migrating.
+CREATE TABLE "journal_entries" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "sourceType" "JournalSource" NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "customerSchemeId" TEXT,
+    "paymentMethod" "PaymentMethod",
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "journal_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "journal_lines" (
+    "id" TEXT NOT NULL,
+    "journalEntryId" TEXT NOT NULL,
+    "account" TEXT NOT NULL,
+    "debit" INTEGER NOT NULL DEFAULT 0,
+    "credit" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "journal_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "journal_entries_sourceType_sourceId_idx" ON "journal_entries"("sourceType", "sourceId");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_date_idx" ON "journal_entries"("date");
+
+-- CreateIndex
+CREATE INDEX "journal_lines_account_idx" ON "journal_lines"("account");
+
+-- AddForeignKey
+ALTER TABLE "journal_entries" ADD CONSTRAINT "journal_entries_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "journal_entries" ADD CONSTRAINT "journal_entries_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "journal_lines" ADD CONSTRAINT "journal_lines_journalEntryId_fkey" FOREIGN KEY ("journalEntryId") REFERENCES "journal_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
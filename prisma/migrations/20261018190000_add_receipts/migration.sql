@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "ReceiptSource" AS ENUM ('COLLECTION', 'PASSBOOK');
+
+-- CreateEnum
+CREATE TYPE "ReceiptStatus" AS ENUM ('ISSUED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "chit_schemes" ADD COLUMN "branchCode" TEXT NOT NULL DEFAULT 'MAIN';
+
+-- CreateTable
+CREATE TABLE "receipt_sequences" (
+    "id" TEXT NOT NULL,
+    "branchCode" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "receipt_sequences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "receipts" (
+    "id" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "branchCode" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "sourceType" "ReceiptSource" NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "customerSchemeId" TEXT,
+    "customerName" TEXT NOT NULL,
+    "customerMobile" TEXT,
+    "schemeName" TEXT,
+    "ticketNumber" INTEGER,
+    "amount" INTEGER NOT NULL,
+    "paymentMethod" "PaymentMethod" NOT NULL,
+    "paymentDate" TIMESTAMP(3) NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "issuedById" TEXT,
+    "status" "ReceiptStatus" NOT NULL DEFAULT 'ISSUED',
+    "cancelledAt" TIMESTAMP(3),
+    "cancelledById" TEXT,
+    "cancellationReason" TEXT,
+
+    CONSTRAINT "receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipt_sequences_branchCode_financialYear_key" ON "receipt_sequences"("branchCode", "financialYear");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipts_number_key" ON "receipts"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipts_branchCode_financialYear_sequence_key" ON "receipts"("branchCode", "financialYear", "sequence");
+
+-- CreateIndex
+CREATE INDEX "receipts_sourceType_sourceId_idx" ON "receipts"("sourceType", "sourceId");
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_customerSchemeId_fkey" FOREIGN KEY ("customerSchemeId") REFERENCES "customer_schemes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_issuedById_fkey" FOREIGN KEY ("issuedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_cancelledById_fkey" FOREIGN KEY ("cancelledById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
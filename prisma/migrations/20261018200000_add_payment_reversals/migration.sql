@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "collections" ADD COLUMN "reversed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "reversedAt" TIMESTAMP(3),
+ADD COLUMN "reversedById" TEXT,
+ADD COLUMN "reversalReason" TEXT,
+ADD COLUMN "reversalOfId" TEXT;
+
+-- AlterTable
+ALTER TABLE "passbook_entries" ADD COLUMN "reversed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "reversedAt" TIMESTAMP(3),
+ADD COLUMN "reversedById" TEXT,
+ADD COLUMN "reversalReason" TEXT,
+ADD COLUMN "reversalOfId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "collections_reversalOfId_key" ON "collections"("reversalOfId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "passbook_entries_reversalOfId_key" ON "passbook_entries"("reversalOfId");
+
+-- AddForeignKey
+ALTER TABLE "collections" ADD CONSTRAINT "collections_reversedById_fkey" FOREIGN KEY ("reversedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "collections" ADD CONSTRAINT "collections_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "collections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "passbook_entries" ADD CONSTRAINT "passbook_entries_reversedById_fkey" FOREIGN KEY ("reversedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "passbook_entries" ADD CONSTRAINT "passbook_entries_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "passbook_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
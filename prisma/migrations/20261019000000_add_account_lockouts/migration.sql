@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "account_lockouts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "failedAttempts" INTEGER NOT NULL,
+    "lockedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "unlockedAt" TIMESTAMP(3),
+    "unlockedById" TEXT,
+
+    CONSTRAINT "account_lockouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "account_lockouts_userId_idx" ON "account_lockouts"("userId");
+
+-- CreateIndex
+CREATE INDEX "account_lockouts_lockedAt_idx" ON "account_lockouts"("lockedAt");
+
+-- AddForeignKey
+ALTER TABLE "account_lockouts" ADD CONSTRAINT "account_lockouts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_lockouts" ADD CONSTRAINT "account_lockouts_unlockedById_fkey" FOREIGN KEY ("unlockedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
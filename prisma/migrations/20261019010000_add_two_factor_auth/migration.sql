@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "twoFactorSecret" TEXT,
+ADD COLUMN "twoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN "twoFactorLastCounter" INTEGER;
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN "twoFactorVerified" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "two_factor_backup_codes" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "two_factor_backup_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "two_factor_backup_codes_userId_codeHash_key" ON "two_factor_backup_codes"("userId", "codeHash");
+
+-- AddForeignKey
+ALTER TABLE "two_factor_backup_codes" ADD CONSTRAINT "two_factor_backup_codes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
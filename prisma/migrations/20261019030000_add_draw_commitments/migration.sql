@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "auctions" ADD COLUMN     "drawCommitment" TEXT,
+ADD COLUMN     "drawCommittedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "draw_secrets" (
+    "auctionId" TEXT NOT NULL,
+    "seed" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "draw_secrets_pkey" PRIMARY KEY ("auctionId")
+);
+
+-- AddForeignKey
+ALTER TABLE "draw_secrets" ADD CONSTRAINT "draw_secrets_auctionId_fkey" FOREIGN KEY ("auctionId") REFERENCES "auctions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "passbook_entries" ADD COLUMN     "dividendCredit" INTEGER NOT NULL DEFAULT 0;
@@ -8,11 +8,21 @@ async function main() {
 
   // Clear all existing data first
   console.log('🧹 Clearing existing data...');
+  // Ledger and receipt rows point at users, so they go before them
+  await prisma.journalLine.deleteMany({});
+  await prisma.journalEntry.deleteMany({});
+  await prisma.receipt.deleteMany({});
+  await prisma.receiptSequence.deleteMany({});
   await prisma.passbookEntry.deleteMany({});
   await prisma.collection.deleteMany({});
+  await prisma.bid.deleteMany({});
+  await prisma.payout.deleteMany({});
   await prisma.auction.deleteMany({});
   await prisma.customer.deleteMany({});
   await prisma.chitScheme.deleteMany({});
+  // The audit trail refuses row deletes; TRUNCATE is the one way to reset it
+  await prisma.$executeRaw`TRUNCATE TABLE "audit_logs"`;
+  await prisma.invitation.deleteMany({});
   await prisma.user.deleteMany({});
   console.log('✅ All existing data cleared');
 
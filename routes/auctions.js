@@ -1,11 +1,34 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { auctionValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
-const { authenticateToken, requireAgentOrAdmin } = require('../middleware/auth');
+const { authenticateToken, authenticateStream, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { withWinningTickets } = require('../services/membership');
+const { regenerateRemainingSchedule } = require('../services/schedule');
+const liveAuctions = require('../services/auctionRoom');
+const { distributeDividends } = require('../services/dividends');
+const { assertEligibleWinner, syncPrizedMember } = require('../services/eligibility');
+const { openPayout } = require('../services/payouts');
+const { commitDraw, drawWinner, verifyDraw } = require('../services/draw');
+const { shiftCalendar } = require('../services/auctionCalendar');
+const { signStreamToken } = require('../services/sessions');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Fields PUT /:id accepts from the body
+const EDITABLE_FIELDS = [
+  'auctionDate',
+  'winningMemberId',
+  'amountReceived',
+  'discountAmount',
+  'newDailyPayment',
+  'previousDailyPayment',
+  'status',
+  'remarks'
+];
+
 // Get all auctions with pagination and filtering
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -80,7 +103,7 @@ router.get('/', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        auctions,
+        auctions: await withWinningTickets(prisma, auctions),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -143,9 +166,11 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
       });
     }
 
+    const [auctionWithTicket] = await withWinningTickets(prisma, [auction]);
+
     res.json({
       success: true,
-      data: { auction }
+      data: { auction: auctionWithTicket }
     });
   } catch (error) {
     console.error('Get auction error:', error);
@@ -158,7 +183,7 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
 });
 
 // Create new auction
-router.post('/', authenticateToken, requireAgentOrAdmin, auctionValidations.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requireAgentOrAdmin, auctionValidations.create, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
   try {
     const {
       chitSchemeId,
@@ -190,6 +215,13 @@ router.post('/', authenticateToken, requireAgentOrAdmin, auctionValidations.crea
       });
     }
 
+    if (status === 'COMPLETED' && !winningMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A completed auction needs a winning member'
+      });
+    }
+
     // Verify winning member exists if provided
     if (winningMemberId) {
       const winningMember = await prisma.customer.findUnique({
@@ -202,69 +234,89 @@ router.post('/', authenticateToken, requireAgentOrAdmin, auctionValidations.crea
           message: 'Winning member not found'
         });
       }
+    }
+
+    // Create the auction and, if it sets a new installment, reschedule the
+    // remaining installments of every member in the same transaction
+    const auction = await prisma.$transaction(async (tx) => {
+      if (winningMemberId) {
+        await assertEligibleWinner(tx, { chitSchemeId }, winningMemberId);
+      }
 
-      // Check if member belongs to the same scheme through CustomerScheme junction table
-      const customerScheme = await prisma.customerScheme.findFirst({
-        where: {
-          customerId: winningMemberId,
-          schemeId: chitSchemeId
+      const created = await tx.auction.create({
+        data: {
+          chitSchemeId,
+          auctionDate: new Date(auctionDate),
+          winningMemberId,
+          amountReceived: cleanedAmountReceived,
+          discountAmount: cleanedDiscountAmount,
+          newDailyPayment: cleanedNewDailyPayment,
+          previousDailyPayment: cleanedPreviousDailyPayment,
+          status,
+          remarks,
+          createdById: req.user.id
+        },
+        include: {
+          chitScheme: {
+            select: {
+              id: true,
+              name: true,
+              chitValue: true,
+              duration: true,
+              durationType: true
+            }
+          },
+          winningMember: {
+            select: {
+              id: true,
+              name: true,
+              mobile: true,
+            }
+          },
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          }
         }
       });
 
-      if (!customerScheme) {
-        return res.status(400).json({
-          success: false,
-          message: 'Winning member does not belong to this chit scheme'
+      await syncPrizedMember(tx, created);
+
+      if (cleanedNewDailyPayment) {
+        await regenerateRemainingSchedule(tx, chitScheme, {
+          after: created.auctionDate,
+          installmentAmount: cleanedNewDailyPayment
         });
       }
-    }
 
-    const auction = await prisma.auction.create({
-      data: {
-        chitSchemeId,
-        auctionDate: new Date(auctionDate),
-        winningMemberId,
-        amountReceived: cleanedAmountReceived,
-        discountAmount: cleanedDiscountAmount,
-        newDailyPayment: cleanedNewDailyPayment,
-        previousDailyPayment: cleanedPreviousDailyPayment,
-        status,
-        remarks,
-        createdById: req.user.id
-      },
-      include: {
-        chitScheme: {
-          select: {
-            id: true,
-            name: true,
-            chitValue: true,
-            duration: true,
-            durationType: true
-          }
-        },
-        winningMember: {
-          select: {
-            id: true,
-            name: true,
-            mobile: true,
-          }
-        },
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
+      // Dividends go on top of the (possibly regenerated) schedule
+      if (created.status === 'COMPLETED') {
+        const { commissionAmount, dividendAmount } = await distributeDividends(tx, created.id);
+        await openPayout(tx, created.id);
+        return { ...created, commissionAmount, dividendAmount };
       }
-    });
+
+      return created;
+    }, { timeout: 20000 });
+
+    const [auctionWithTicket] = await withWinningTickets(prisma, [auction]);
 
     res.status(201).json({
       success: true,
       message: 'Auction scheduled successfully',
-      data: { auction }
+      data: { auction: auctionWithTicket }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Create auction error:', error);
     res.status(500).json({
       success: false,
@@ -275,7 +327,7 @@ router.post('/', authenticateToken, requireAgentOrAdmin, auctionValidations.crea
 });
 
 // Update auction
-router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, auctionValidations.update, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, auctionValidations.update, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -292,6 +344,38 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
       });
     }
 
+    // The live room owns the result while bidding is open
+    if (existingAuction.status === 'LIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Auction room is live; close it to record the result'
+      });
+    }
+
+    // Once dividends are paid out the result that produced them is fixed
+    const changesResult = (updateData.status !== undefined && updateData.status !== 'COMPLETED') ||
+      (updateData.discountAmount !== undefined && Number(updateData.discountAmount || 0) !== existingAuction.discountAmount) ||
+      (updateData.winningMemberId !== undefined && (updateData.winningMemberId || null) !== existingAuction.winningMemberId);
+
+    if (existingAuction.dividendAmount !== null && changesResult) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dividends have already been distributed for this auction'
+      });
+    }
+
+    const completing = updateData.status === 'COMPLETED' && existingAuction.status !== 'COMPLETED';
+    const finalWinningMemberId = updateData.winningMemberId !== undefined
+      ? updateData.winningMemberId
+      : existingAuction.winningMemberId;
+
+    if (completing && !finalWinningMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A completed auction needs a winning member'
+      });
+    }
+
     // If updating winning member, verify they exist and belong to the scheme
     if (updateData.winningMemberId) {
       const winningMember = await prisma.customer.findUnique({
@@ -304,28 +388,22 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
           message: 'Winning member not found'
         });
       }
+    }
 
-      // Check if member belongs to the same scheme through CustomerScheme junction table
-      const customerScheme = await prisma.customerScheme.findFirst({
-        where: {
-          customerId: updateData.winningMemberId,
-          schemeId: existingAuction.chitSchemeId
-        }
-      });
+    // Prized members may only be recorded against the auction they won
+    const resultChanged = updateData.winningMemberId !== undefined || updateData.status !== undefined;
 
-      if (!customerScheme) {
-        return res.status(400).json({
-          success: false,
-          message: 'Winning member does not belong to this chit scheme'
-        });
+    // Only the recorded result can be edited; the scheme, the live room
+    // timestamps, the dividend split and the draw record are set by the server
+    const cleanedUpdateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) {
+        cleanedUpdateData[field] = updateData[field];
       }
+    });
+    if (cleanedUpdateData.auctionDate) {
+      cleanedUpdateData.auctionDate = new Date(cleanedUpdateData.auctionDate);
     }
-
-    // Remove chitSchemeId from update data as it cannot be changed
-    const { chitSchemeId, ...allowedUpdateData } = updateData;
-    
-    // Clean up empty strings for integer fields - convert to null
-    const cleanedUpdateData = { ...allowedUpdateData };
     
     // Handle winningMemberId separately - convert to winningMember relation
     if (cleanedUpdateData.winningMemberId !== undefined) {
@@ -369,42 +447,98 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
       cleanedUpdateData.previousDailyPayment = parseInt(cleanedUpdateData.previousDailyPayment);
     }
     
-    const updatedAuction = await prisma.auction.update({
-      where: { id },
-      data: cleanedUpdateData,
-      include: {
-        chitScheme: {
-          select: {
-            id: true,
-            name: true,
-            chitValue: true,
-            duration: true,
-            durationType: true
-          }
-        },
-        winningMember: {
-          select: {
-            id: true,
-            name: true,
-            mobile: true,
-          }
-        },
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    // A changed installment reschedules the remaining installments of every member
+    const installmentChanged = cleanedUpdateData.newDailyPayment != null &&
+      cleanedUpdateData.newDailyPayment !== existingAuction.newDailyPayment;
+
+    // Moving or cancelling a scheduled auction moves the rest of a generated calendar
+    const rescheduled = existingAuction.status === 'SCHEDULED' && cleanedUpdateData.auctionDate !== undefined &&
+      new Date(cleanedUpdateData.auctionDate).getTime() !== existingAuction.auctionDate.getTime();
+    const cancelling = existingAuction.status === 'SCHEDULED' && cleanedUpdateData.status === 'CANCELLED';
+
+    const updatedAuction = await prisma.$transaction(async (tx) => {
+      if (resultChanged && finalWinningMemberId) {
+        await assertEligibleWinner(tx, { chitSchemeId: existingAuction.chitSchemeId, auctionId: id }, finalWinningMemberId);
+      }
+
+      const updated = await tx.auction.update({
+        where: { id },
+        data: cleanedUpdateData,
+        include: {
+          chitScheme: {
+            select: {
+              id: true,
+              name: true,
+              chitValue: true,
+              duration: true,
+              durationType: true
+            }
+          },
+          winningMember: {
+            select: {
+              id: true,
+              name: true,
+              mobile: true,
+            }
+          },
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
           }
         }
+      });
+
+      if (resultChanged) {
+        await syncPrizedMember(tx, updated);
       }
-    });
+
+      const chitScheme = await tx.chitScheme.findUnique({
+        where: { id: existingAuction.chitSchemeId }
+      });
+
+      if (chitScheme.auctionInterval && (rescheduled || cancelling)) {
+        await shiftCalendar(tx, chitScheme, updated, {
+          after: existingAuction.auctionDate,
+          replace: cancelling,
+          createdById: req.user.id
+        });
+      }
+
+      if (installmentChanged) {
+        await regenerateRemainingSchedule(tx, chitScheme, {
+          after: updated.auctionDate,
+          installmentAmount: cleanedUpdateData.newDailyPayment
+        });
+      }
+
+      // Dividends go on top of the (possibly regenerated) schedule
+      if (completing) {
+        const { commissionAmount, dividendAmount } = await distributeDividends(tx, id);
+        await openPayout(tx, id);
+        return { ...updated, commissionAmount, dividendAmount };
+      }
+
+      return updated;
+    }, { timeout: 20000 });
+
+    const [auctionWithTicket] = await withWinningTickets(prisma, [updatedAuction]);
 
     res.json({
       success: true,
       message: 'Auction updated successfully',
-      data: { auction: updatedAuction }
+      data: { auction: auctionWithTicket }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Update auction error:', error);
     res.status(500).json({
       success: false,
@@ -415,13 +549,20 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
 });
 
 // Delete auction
-router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if auction exists
     const existingAuction = await prisma.auction.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        _count: {
+          select: {
+            bids: true
+          }
+        }
+      }
     });
 
     if (!existingAuction) {
@@ -431,6 +572,14 @@ router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.
       });
     }
 
+    // Bid history is kept for audit
+    if (existingAuction._count.bids > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete auction with recorded bids'
+      });
+    }
+
     // Check if auction is completed
     if (existingAuction.status === 'COMPLETED') {
       return res.status(400).json({
@@ -468,6 +617,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     const [
       totalAuctions,
       scheduledAuctions,
+      liveAuctionsCount,
       completedAuctions,
       cancelledAuctions,
       totalAmountReceived,
@@ -475,6 +625,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     ] = await Promise.all([
       prisma.auction.count({ where }),
       prisma.auction.count({ where: { ...where, status: 'SCHEDULED' } }),
+      prisma.auction.count({ where: { ...where, status: 'LIVE' } }),
       prisma.auction.count({ where: { ...where, status: 'COMPLETED' } }),
       prisma.auction.count({ where: { ...where, status: 'CANCELLED' } }),
       prisma.auction.aggregate({
@@ -490,6 +641,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     const stats = {
       totalAuctions,
       scheduledAuctions,
+      liveAuctions: liveAuctionsCount,
       completedAuctions,
       cancelledAuctions,
       totalAmountReceived: totalAmountReceived._sum.amountReceived || 0,
@@ -546,7 +698,7 @@ router.get('/upcoming/list', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: { auctions: upcomingAuctions }
+      data: { auctions: await withWinningTickets(prisma, upcomingAuctions) }
     });
   } catch (error) {
     console.error('Get upcoming auctions error:', error);
@@ -558,4 +710,347 @@ router.get('/upcoming/list', authenticateToken, async (req, res) => {
   }
 });
 
+// Token for joining the live room from a browser, passed as `?token=`
+router.post('/:id/live/token', authenticateToken, commonValidations.id, handleValidationErrors, (req, res) => {
+  res.json({
+    success: true,
+    data: signStreamToken(req.user, req.sessionId, `auction:${req.params.id}`)
+  });
+});
+
+// Join the live auction room (server-sent events stream)
+router.get('/:id/live', authenticateStream(req => `auction:${req.params.id}`), commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const snapshot = await liveAuctions.roomSnapshot(prisma, id);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    // The stream stays open for the whole auction, so lift the global request timeouts
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    liveAuctions.subscribe(id, res);
+    liveAuctions.send(res, 'snapshot', snapshot);
+
+    // Comment lines keep proxies from dropping an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      liveAuctions.unsubscribe(id, res);
+    });
+  } catch (error) {
+    console.error('Join live auction error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join live auction',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Open the live auction room for bidding
+router.post('/:id/live/open', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const auction = await liveAuctions.openRoom(prisma, id);
+    liveAuctions.broadcast(id, 'opened', { auction });
+
+    res.json({
+      success: true,
+      message: 'Auction room opened for bidding',
+      data: { auction }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Open live auction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open auction room',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Place a bid on behalf of an enrolled member
+router.post('/:id/live/bids', authenticateToken, requireAgentOrAdmin, commonValidations.id, auctionValidations.bid, handleValidationErrors, auditTrail('Bid', { id: () => null }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { customerId, discountAmount } = req.body;
+
+    const bid = await liveAuctions.placeBid(prisma, id, {
+      customerId,
+      discountAmount,
+      placedById: req.user.id
+    });
+    liveAuctions.broadcast(id, 'bid', { bid });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bid placed successfully',
+      data: { bid }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Place bid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place bid',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Close the live auction room and record the highest bidder as winner
+router.post('/:id/live/close', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await liveAuctions.closeRoom(prisma, id);
+    liveAuctions.broadcast(id, 'closed', result);
+
+    res.json({
+      success: true,
+      message: result.winningBid
+        ? 'Auction closed successfully'
+        : 'Auction closed without bids',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Close live auction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close auction room',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the full bid history of an auction
+router.get('/:id/bids', authenticateToken, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const snapshot = await liveAuctions.roomSnapshot(prisma, id);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bids: snapshot.bids,
+        highestBid: snapshot.highestBid
+      }
+    });
+  } catch (error) {
+    console.error('Get auction bids error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auction bids',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the dividends distributed for an auction
+router.get('/:id/dividends', authenticateToken, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const auction = await prisma.auction.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        status: true,
+        discountAmount: true,
+        commissionAmount: true,
+        dividendAmount: true,
+        chitScheme: {
+          select: {
+            id: true,
+            name: true,
+            chitValue: true,
+            commissionRate: true
+          }
+        },
+        dividends: {
+          include: {
+            customerScheme: {
+              select: {
+                id: true,
+                ticketNumber: true,
+                customer: {
+                  select: {
+                    id: true,
+                    name: true,
+                    mobile: true
+                  }
+                }
+              }
+            }
+          },
+          orderBy: { customerScheme: { ticketNumber: 'asc' } }
+        }
+      }
+    });
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    const { dividends, ...summary } = auction;
+
+    res.json({
+      success: true,
+      data: {
+        auction: summary,
+        dividends,
+        dividendPerMember: dividends.length > 0 ? dividends[0].amount : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get auction dividends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auction dividends',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Fix the seed of an upcoming draw and publish its hash
+router.post('/:id/draw/commit', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
+  try {
+    const commitment = await commitDraw(prisma, req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Draw seed committed',
+      data: { commitment }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Commit auction draw error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to commit draw seed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Decide the auction by drawing lots among eligible non-prized members
+router.post('/:id/draw', authenticateToken, requireAgentOrAdmin, commonValidations.id, auctionValidations.draw, handleValidationErrors, auditTrail('Auction'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { auction, winner, candidates } = await drawWinner(prisma, id, {
+      discountAmount: req.body.discountAmount
+    });
+    const [auctionWithTicket] = await withWinningTickets(prisma, [auction]);
+
+    res.json({
+      success: true,
+      message: `Ticket #${winner.ticketNumber} drawn from ${candidates.length} eligible members`,
+      data: {
+        auction: auctionWithTicket,
+        winner,
+        seed: auction.drawSeed,
+        candidates
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Draw auction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to draw auction winner',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Re-run a recorded draw from its seed to show members the result was fair
+router.get('/:id/draw', authenticateToken, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const verification = await verifyDraw(prisma, req.params.id);
+
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Verify auction draw error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify auction draw',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { auditValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get the audit trail, newest first (Admin only)
+router.get('/', authenticateToken, requireAdmin, commonValidations.pagination, auditValidations.list, handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      entity,
+      entityId,
+      userId,
+      startDate,
+      endDate
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (entity) where.entity = entity;
+    if (entityId) where.entityId = entityId;
+    if (userId) where.userId = userId;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.createdAt.lte = end;
+      }
+    }
+
+    const [totalCount, auditLogs] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        auditLogs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,66 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
-const { userValidations, handleValidationErrors } = require('../middleware/validation');
+const { userValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { acceptInvitation } = require('../services/invitations');
+const { assertCanAttempt, recordFailedLogin, recordSuccessfulLogin } = require('../services/lockouts');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResets');
+const { createSession, listSessions, rotateSession, revokeSession, revokeUserSessions } = require('../services/sessions');
+const {
+  isTwoFactorRequired,
+  signLoginToken,
+  verifyLoginToken,
+  generateBackupCodes,
+  verifySecondFactor,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Register new user
-router.post('/register', userValidations.register, handleValidationErrors, async (req, res) => {
+// Open registration is off unless ALLOW_OPEN_REGISTRATION=true; staff
+// accounts are otherwise created by invitation
+const openRegistration = () => process.env.ALLOW_OPEN_REGISTRATION === 'true';
+
+// Start a session for a user who has signed in and describe it for the client
+const signIn = async (user, req, options) => {
+  // A short-lived access token and a refresh token
+  const { token, refreshToken, expiresIn } = await createSession(prisma, user, req, options);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    // Set when the user's role enforces two-factor but it is not set up yet
+    twoFactorSetupRequired: isTwoFactorRequired(user.role) && !user.twoFactorEnabled,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      isActive: user.isActive,
+      twoFactorEnabled: user.twoFactorEnabled
+    }
+  };
+};
+
+// Register new user. Self-registered users are always agents; other roles
+// are given through invitations or by an admin.
+router.post('/register', userValidations.register, handleValidationErrors, auditTrail('User'), async (req, res) => {
   try {
-    const { email, password, name, role = 'AGENT' } = req.body;
+    if (!openRegistration()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only'
+      });
+    }
+
+    const { email, password, name } = req.body;
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
@@ -34,7 +83,7 @@ router.post('/register', userValidations.register, handleValidationErrors, async
         email,
         password: hashedPassword,
         name,
-        role
+        role: 'AGENT'
       },
       select: {
         id: true,
@@ -61,8 +110,38 @@ router.post('/register', userValidations.register, handleValidationErrors, async
   }
 });
 
+// Accept an invitation: create the invited account with its role and the
+// password the invitee chooses
+router.post('/accept-invite', userValidations.acceptInvite, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const user = await prisma.$transaction(tx => acceptInvitation(tx, token, { name, password }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: { user }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Login user
-router.post('/login', userValidations.login, handleValidationErrors, async (req, res) => {
+router.post('/login', userValidations.login, handleValidationErrors, auditTrail('User'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -86,42 +165,60 @@ router.post('/login', userValidations.login, handleValidationErrors, async (req,
       });
     }
 
+    // Locked accounts and attempts made too soon after a failure are refused
+    // before the password is even checked
+    assertCanAttempt(user);
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
 
     if (!isValidPassword) {
+      const lockout = await recordFailedLogin(prisma, user, req);
+      if (lockout) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked after too many failed sign-ins',
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // With two-factor on, the password only earns a token for the second step.
+    // Failed attempts are not reset until that step succeeds as well.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: signLoginToken(user)
+        }
+      });
+    }
+
+    await recordSuccessfulLogin(prisma, user);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          isActive: user.isActive
-        }
-      }
+      data: await signIn(user, req)
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
@@ -131,6 +228,197 @@ router.post('/login', userValidations.login, handleValidationErrors, async (req,
   }
 });
 
+// Second sign-in step: exchange the two-factor token from /login and an
+// authenticator or backup code for a session. Wrong codes count as failed
+// sign-ins and lock the account like wrong passwords.
+router.post('/login/2fa', userValidations.twoFactorLogin, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: verifyLoginToken(twoFactorToken) }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in has expired, please enter your password again'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    assertCanAttempt(user);
+
+    const verified = await verifySecondFactor(prisma, user, { code, backupCode });
+
+    if (!verified) {
+      const lockout = await recordFailedLogin(prisma, user, req);
+      if (lockout) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked after too many failed sign-ins',
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccessfulLogin(prisma, user);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await signIn(user, req, { twoFactorVerified: true })
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Forgot password: send a one-time reset code to the account's email. The
+// answer is the same whether or not the account exists.
+router.post('/forgot-password', userValidations.forgotPassword, handleValidationErrors, auditTrail('User', { key: 'email', id: req => req.body.email }), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    // The code is sent after answering: waiting for it (or for its failure)
+    // only for existing accounts would reveal which emails are registered
+    if (user && user.isActive) {
+      requestPasswordReset(prisma, user, req).catch(error => {
+        console.error('Send reset code error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reset code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reset password with the code from /forgot-password. Wrong codes count as
+// failed sign-ins. Every session is signed out; two-factor stays on.
+router.post('/reset-password', userValidations.resetWithCode, handleValidationErrors, auditTrail('User', { key: 'email', id: req => req.body.email }), async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset code is invalid or has expired'
+      });
+    }
+
+    assertCanAttempt(user);
+
+    const reset = await resetPassword(prisma, user, code, newPassword);
+
+    if (!reset) {
+      const lockout = await recordFailedLogin(prisma, user, req);
+      if (lockout) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked after too many failed sign-ins',
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reset code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please sign in again'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is
+// replaced by a new one each time
+router.post('/refresh', userValidations.refresh, handleValidationErrors, async (req, res) => {
+  try {
+    const tokens = await rotateSession(prisma, req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -142,6 +430,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         name: true,
         role: true,
         isActive: true,
+        twoFactorEnabled: true,
         createdAt: true,
         updatedAt: true
       }
@@ -169,7 +458,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
   try {
     const { name, email } = req.body;
     const updateData = {};
@@ -222,7 +511,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', authenticateToken, async (req, res) => {
+router.put('/change-password', authenticateToken, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -258,10 +547,13 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     // Hash new password
     const hashedNewPassword = await bcrypt.hash(newPassword, 12);
 
-    // Update password
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { password: hashedNewPassword }
+    // Update password and sign out every other session
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: req.user.id },
+        data: { password: hashedNewPassword }
+      });
+      await revokeUserSessions(tx, req.user.id, 'Password changed', req.sessionId);
     });
 
     res.json({
@@ -278,12 +570,322 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+// Get the current user's two-factor status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const [user, backupCodesRemaining] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: {
+          twoFactorEnabled: true,
+          twoFactorEnabledAt: true
+        }
+      }),
+      prisma.twoFactorBackupCode.count({
+        where: { userId: req.user.id, usedAt: null }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: isTwoFactorRequired(req.user.role),
+        verified: req.twoFactorVerified,
+        backupCodesRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Begin two-factor setup: a new secret and its QR code for an authenticator
+// app. Nothing changes at sign-in until the setup is confirmed.
+router.post('/2fa/setup', authenticateToken, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const enrollment = await startEnrollment(prisma, user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm two-factor setup with a code from the app. The backup codes are
+// returned only here. This session counts as verified; the others, which
+// signed in without the second factor, are signed out.
+router.post('/2fa/enable', authenticateToken, userValidations.twoFactorCode, handleValidationErrors, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
+  try {
+    const backupCodes = await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({
+        where: { id: req.user.id }
+      });
+
+      const codes = await enableTwoFactor(tx, user, req.body.code);
+
+      await tx.session.update({
+        where: { id: req.sessionId },
+        data: { twoFactorVerified: true }
+      });
+      await revokeUserSessions(tx, req.user.id, 'Two-factor authentication enabled', req.sessionId);
+
+      return codes;
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Keep the backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Replace the backup codes, e.g. when they are running out. A wrong code
+// counts as a failed sign-in, so it cannot be used to guess codes.
+router.post('/2fa/backup-codes', authenticateToken, userValidations.twoFactorCode, handleValidationErrors, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    assertCanAttempt(user);
+
+    const backupCodes = await prisma.$transaction(async (tx) => {
+      if (!(await verifySecondFactor(tx, user, { code: req.body.code }))) {
+        return null;
+      }
+
+      return generateBackupCodes(tx, user.id);
+    });
+
+    if (!backupCodes) {
+      const lockout = await recordFailedLogin(prisma, user, req);
+      if (lockout) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked after too many failed sign-ins',
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccessfulLogin(prisma, user);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn two-factor off, with the password and a current code. Not allowed
+// for roles that enforce it. A wrong password or code counts as a failed
+// sign-in.
+router.post('/2fa/disable', authenticateToken, userValidations.twoFactorDisable, handleValidationErrors, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    assertCanAttempt(user);
+
+    const disabled = await prisma.$transaction(async (tx) => {
+      if (!(await bcrypt.compare(password, user.password))) {
+        return false;
+      }
+      if (!(await verifySecondFactor(tx, user, { code, backupCode }))) {
+        return false;
+      }
+
+      await disableTwoFactor(tx, user.id);
+      return true;
+    });
+
+    if (!disabled) {
+      const lockout = await recordFailedLogin(prisma, user, req);
+      if (lockout) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked after too many failed sign-ins',
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    await recordSuccessfulLogin(prisma, user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the current user's signed-in sessions, with device, IP and last use
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(prisma, req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out one of the current user's sessions, e.g. on a lost phone
+router.delete('/sessions/:id', authenticateToken, commonValidations.id, handleValidationErrors, auditTrail('Session'), async (req, res) => {
+  try {
+    const { count } = await revokeSession(prisma, { id: req.params.id, userId: req.user.id }, 'Signed out remotely');
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Logout: revoke the session, so neither its access token nor its refresh token works again
+router.post('/logout', authenticateToken, auditTrail('User', { id: req => req.user.id }), async (req, res) => {
+  try {
+    await revokeSession(prisma, { id: req.sessionId }, 'Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 });
 
 module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { chitSchemeValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { enrollMember } = require('../services/membership');
+const { isPrized, eligibleBidders } = require('../services/eligibility');
+const { generateAuctionCalendar } = require('../services/auctionCalendar');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -95,7 +100,7 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
               }
             }
           },
-          orderBy: { createdAt: 'desc' }
+          orderBy: { ticketNumber: 'asc' }
         },
         auctions: {
           select: {
@@ -103,6 +108,7 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
             auctionDate: true,
             status: true,
             amountReceived: true,
+            winningMemberId: true,
             winningMember: {
               select: {
                 id: true,
@@ -128,6 +134,13 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
       });
     }
 
+    // Show auction winners by the ticket they hold in this scheme
+    const ticketByCustomer = new Map(scheme.customerSchemes.map(cs => [cs.customerId, cs.ticketNumber]));
+    scheme.auctions = scheme.auctions.map(auction => ({
+      ...auction,
+      winningTicketNumber: ticketByCustomer.get(auction.winningMemberId) ?? null
+    }));
+
     res.json({
       success: true,
       data: { scheme }
@@ -143,7 +156,7 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
 });
 
 // Create new chit scheme
-router.post('/', authenticateToken, requireAgentOrAdmin, chitSchemeValidations.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requireAgentOrAdmin, chitSchemeValidations.create, handleValidationErrors, auditTrail('ChitScheme'), async (req, res) => {
   try {
     const {
       name,
@@ -161,8 +174,14 @@ router.post('/', authenticateToken, requireAgentOrAdmin, chitSchemeValidations.c
       description,
       commissionRate,
       penaltyRate,
+      penaltyGraceDays,
       minBidAmount,
       maxBidAmount,
+      bidIncrement,
+      branchCode,
+      generateAuctions = false,
+      auctionInterval = 1,
+      auctionIntervalUnit = 'MONTHS',
       isActive = true
     } = req.body;
 
@@ -178,35 +197,49 @@ router.post('/', authenticateToken, requireAgentOrAdmin, chitSchemeValidations.c
       endDate.setDate(start.getDate() + duration);
     }
 
-    const scheme = await prisma.chitScheme.create({
-      data: {
-        name,
-        chitValue,
-        duration,
-        durationType,
-        paymentType,
-        dailyPayment,
-        monthlyPayment,
-        numberOfMembers,
-        auctionRules,
-        startDate: new Date(startDate),
-        endDate,
-        lastDate: lastDate ? new Date(lastDate) : null,
-        status,
-        description,
-        commissionRate,
-        penaltyRate,
-        minBidAmount,
-        maxBidAmount,
-        isActive,
-        createdBy: req.user.id
-      }
-    });
+    // Optionally lay out the scheme's auctions in the same transaction
+    const { scheme, auctionsGenerated } = await prisma.$transaction(async (tx) => {
+      const created = await tx.chitScheme.create({
+        data: {
+          name,
+          chitValue,
+          duration,
+          durationType,
+          paymentType,
+          dailyPayment,
+          monthlyPayment,
+          numberOfMembers,
+          auctionRules,
+          startDate: new Date(startDate),
+          endDate,
+          lastDate: lastDate ? new Date(lastDate) : null,
+          status,
+          description,
+          commissionRate,
+          penaltyRate,
+          penaltyGraceDays,
+          minBidAmount,
+          maxBidAmount,
+          bidIncrement,
+          branchCode,
+          auctionInterval: generateAuctions ? auctionInterval : null,
+          auctionIntervalUnit: generateAuctions ? auctionIntervalUnit : null,
+          isActive,
+          createdBy: req.user.id
+        }
+      });
+
+      const auctionsGenerated = generateAuctions
+        ? await generateAuctionCalendar(tx, created, req.user.id)
+        : 0;
+
+      return { scheme: created, auctionsGenerated };
+    }, { timeout: 20000 });
 
     res.status(201).json({
       success: true,
       message: 'Chit scheme created successfully',
-      data: { scheme }
+      data: { scheme, auctionsGenerated }
     });
   } catch (error) {
     console.error('Create chit scheme error:', error);
@@ -219,7 +252,7 @@ router.post('/', authenticateToken, requireAgentOrAdmin, chitSchemeValidations.c
 });
 
 // Update chit scheme
-router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, chitSchemeValidations.update, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, chitSchemeValidations.update, handleValidationErrors, auditTrail('ChitScheme'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -282,7 +315,7 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
 });
 
 // Delete chit scheme
-router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('ChitScheme'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -341,8 +374,8 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
       limit = 50,
       status,
       search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortBy = 'ticketNumber',
+      sortOrder = 'asc'
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -361,7 +394,7 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
       });
     }
 
-    // Build where clause for customers
+    // Build where clause for memberships
     const where = { schemeId: id };
     
     if (status) {
@@ -370,10 +403,15 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
     
     if (search) {
       where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { mobile: { contains: search, mode: 'insensitive' } },
-        { address: { contains: search, mode: 'insensitive' } }
+        { customer: { name: { contains: search, mode: 'insensitive' } } },
+        { customer: { mobile: { contains: search, mode: 'insensitive' } } },
+        { customer: { address: { contains: search, mode: 'insensitive' } } }
       ];
+
+      // Agents often look a member up by the ticket number printed on the passbook
+      if (/^\d+$/.test(search)) {
+        where.OR.push({ ticketNumber: parseInt(search) });
+      }
     }
 
     // Get total count
@@ -407,7 +445,7 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
     // Calculate member statistics
     const allCustomerSchemes = await prisma.customerScheme.findMany({
       where: { schemeId: id },
-      select: { status: true, balance: true, amountPerDay: true, duration: true }
+      select: { status: true, balance: true, amountPerDay: true, duration: true, prizedAuctionId: true }
     });
 
     const stats = {
@@ -415,6 +453,7 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
       activeMembers: allCustomerSchemes.filter(cs => cs.status === 'ACTIVE').length,
       completedMembers: allCustomerSchemes.filter(cs => cs.status === 'COMPLETED').length,
       defaultedMembers: allCustomerSchemes.filter(cs => cs.status === 'DEFAULTED').length,
+      prizedMembers: allCustomerSchemes.filter(isPrized).length,
       totalBalance: allCustomerSchemes.reduce((sum, cs) => sum + cs.balance, 0),
       totalAmountPaid: allCustomerSchemes.reduce((sum, cs) => sum + (cs.amountPerDay * cs.duration - cs.balance), 0)
     };
@@ -422,13 +461,17 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
     // Format the response to match the expected structure
     const members = customerSchemes.map(cs => ({
       ...cs.customer,
+      customerSchemeId: cs.id,
+      ticketNumber: cs.ticketNumber,
       status: cs.status,
       startDate: cs.startDate,
       lastDate: cs.lastDate,
       amountPerDay: cs.amountPerDay,
       duration: cs.duration,
       durationType: cs.durationType,
-      balance: cs.balance
+      balance: cs.balance,
+      prized: isPrized(cs),
+      prizedAt: cs.prizedAt
     }));
 
     res.json({
@@ -458,8 +501,56 @@ router.get('/:id/members', authenticateToken, commonValidations.id, handleValida
   }
 });
 
+// Get members who can still bid in (and win) the scheme's auctions
+router.get('/:id/eligible-bidders', authenticateToken, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scheme = await prisma.chitScheme.findUnique({
+      where: { id },
+      select: { id: true, name: true }
+    });
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chit scheme not found'
+      });
+    }
+
+    const [bidders, prizedMembers] = await Promise.all([
+      eligibleBidders(prisma, id),
+      prisma.customerScheme.count({
+        where: {
+          schemeId: id,
+          prizedAuctionId: { not: null }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        scheme,
+        bidders,
+        stats: {
+          eligibleBidders: bidders.length,
+          prizedMembers
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get eligible bidders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch eligible bidders',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Add existing customer to scheme
-router.post('/:id/members', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+router.post('/:id/members', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('CustomerScheme', { id: () => null }), async (req, res) => {
   try {
     const { id: schemeId } = req.params;
     const { customerId, amountPerDay, duration, durationType = 'MONTHS', startDate, lastDate } = req.body;
@@ -476,14 +567,6 @@ router.post('/:id/members', authenticateToken, requireAgentOrAdmin, commonValida
       });
     }
 
-    // Check if scheme has capacity
-    if (scheme.membersEnrolled >= scheme.numberOfMembers) {
-      return res.status(400).json({
-        success: false,
-        message: 'Chit scheme is full'
-      });
-    }
-
     // Verify customer exists
     const customer = await prisma.customer.findUnique({
       where: { id: customerId }
@@ -496,37 +579,21 @@ router.post('/:id/members', authenticateToken, requireAgentOrAdmin, commonValida
       });
     }
 
-    // Check if customer is already in this scheme
-    const existingCustomerScheme = await prisma.customerScheme.findFirst({
-      where: {
-        customerId,
-        schemeId
-      }
-    });
-
-    if (existingCustomerScheme) {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer is already enrolled in this scheme'
-      });
-    }
-
     // Calculate initial balance
     const totalAmount = amountPerDay * duration;
     const balance = totalAmount;
 
-    // Create customer scheme relationship
-    const customerScheme = await prisma.customerScheme.create({
-      data: {
-        customerId,
-        schemeId,
-        amountPerDay,
-        duration,
-        durationType,
-        startDate: startDate ? new Date(startDate) : customer.startDate,
-        lastDate: lastDate ? new Date(lastDate) : null,
-        balance
-      },
+    // Allocate a ticket and create the membership; capacity and duplicate
+    // enrollment are enforced by the database so concurrent requests cannot overfill
+    const customerScheme = await enrollMember(prisma, scheme, {
+      customerId,
+      amountPerDay,
+      duration,
+      durationType,
+      startDate: startDate ? new Date(startDate) : customer.startDate,
+      lastDate: lastDate ? new Date(lastDate) : null,
+      balance
+    }, {
       include: {
         customer: {
           select: {
@@ -550,22 +617,19 @@ router.post('/:id/members', authenticateToken, requireAgentOrAdmin, commonValida
       }
     });
 
-    // Update scheme members enrolled count
-    await prisma.chitScheme.update({
-      where: { id: schemeId },
-      data: {
-        membersEnrolled: {
-          increment: 1
-        }
-      }
-    });
-
     res.status(201).json({
       success: true,
       message: 'Customer added to scheme successfully',
       data: { customerScheme }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Add customer to scheme error:', error);
     res.status(500).json({
       success: false,
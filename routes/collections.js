@@ -2,6 +2,11 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { collectionValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken, requireCollectorOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { applyPayment, assertClientBalance } = require('../services/balances');
+const { postCollection } = require('../services/ledger');
+const { issueReceipt, syncReceipt, collectionPayment } = require('../services/receipts');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,6 +19,8 @@ router.get('/', authenticateToken, async (req, res) => {
       limit = 10, 
       date,
       customerId,
+      customerSchemeId,
+      schemeId,
       collectorId,
       paymentMethod,
       search,
@@ -41,6 +48,14 @@ router.get('/', authenticateToken, async (req, res) => {
       where.customerId = customerId;
     }
     
+    if (customerSchemeId) {
+      where.customerSchemeId = customerSchemeId;
+    }
+    
+    if (schemeId) {
+      where.customerScheme = { schemeId };
+    }
+    
     if (collectorId) {
       where.collectorId = collectorId;
     }
@@ -71,7 +86,14 @@ router.get('/', authenticateToken, async (req, res) => {
           select: {
             id: true,
             name: true,
-            mobile: true,
+            mobile: true
+          }
+        },
+        customerScheme: {
+          select: {
+            id: true,
+            ticketNumber: true,
+            balance: true,
             scheme: {
               select: {
                 id: true,
@@ -127,7 +149,15 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
             name: true,
             mobile: true,
             address: true,
+            status: true
+          }
+        },
+        customerScheme: {
+          select: {
+            id: true,
+            ticketNumber: true,
             status: true,
+            balance: true,
             scheme: {
               select: {
                 id: true,
@@ -170,10 +200,11 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
 });
 
 // Create new collection
-router.post('/', authenticateToken, requireCollectorOrAdmin, collectionValidations.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requireCollectorOrAdmin, collectionValidations.create, handleValidationErrors, auditTrail('Collection'), async (req, res) => {
   try {
     const {
       customerId,
+      customerSchemeId,
       amountPaid,
       date,
       balanceRemaining,
@@ -181,69 +212,76 @@ router.post('/', authenticateToken, requireCollectorOrAdmin, collectionValidatio
       remarks
     } = req.body;
 
-    // Verify customer exists
-    const customer = await prisma.customer.findUnique({
-      where: { id: customerId },
-      include: {
-        scheme: {
-          select: {
-            id: true,
-            name: true,
-            dailyPayment: true
-          }
-        }
-      }
+    // Verify the membership exists and belongs to the customer
+    const customerScheme = await prisma.customerScheme.findUnique({
+      where: { id: customerSchemeId }
     });
 
-    if (!customer) {
+    if (!customerScheme) {
       return res.status(400).json({
         success: false,
-        message: 'Customer not found'
+        message: 'Customer scheme membership not found'
       });
     }
 
-    // Create collection
-    const collection = await prisma.collection.create({
-      data: {
-        customerId,
-        amountPaid,
-        collectorId: req.user.id,
-        date: new Date(date),
-        balanceRemaining,
-        paymentMethod,
-        remarks
-      },
-      include: {
-        customer: {
-          select: {
-            id: true,
-            name: true,
-            mobile: true,
-            scheme: {
-              select: {
-                id: true,
-                name: true,
-                dailyPayment: true
+    if (customerId && customerScheme.customerId !== customerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is not enrolled in the specified scheme membership'
+      });
+    }
+
+    // Record the collection and move the membership balance together
+    const collection = await prisma.$transaction(async (tx) => {
+      const newBalance = await applyPayment(tx, customerSchemeId, amountPaid);
+      assertClientBalance(balanceRemaining, newBalance);
+
+      const created = await tx.collection.create({
+        data: {
+          customerId: customerScheme.customerId,
+          customerSchemeId,
+          amountPaid,
+          collectorId: req.user.id,
+          date: new Date(date),
+          balanceRemaining: newBalance,
+          paymentMethod,
+          remarks
+        },
+        include: {
+          customer: {
+            select: {
+              id: true,
+              name: true,
+              mobile: true
+            }
+          },
+          customerScheme: {
+            select: {
+              id: true,
+              ticketNumber: true,
+              balance: true,
+              scheme: {
+                select: {
+                  id: true,
+                  name: true,
+                  dailyPayment: true
+                }
               }
             }
-          }
-        },
-        collector: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+          },
+          collector: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
           }
         }
-      }
-    });
+      });
 
-    // Update customer balance
-    await prisma.customer.update({
-      where: { id: customerId },
-      data: {
-        balance: balanceRemaining
-      }
+      await postCollection(tx, created, req.user.id);
+      const receipt = await issueReceipt(tx, collectionPayment(created), req.user.id);
+      return { ...created, receipt };
     });
 
     res.status(201).json({
@@ -252,6 +290,13 @@ router.post('/', authenticateToken, requireCollectorOrAdmin, collectionValidatio
       data: { collection }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Create collection error:', error);
     res.status(500).json({
       success: false,
@@ -262,16 +307,16 @@ router.post('/', authenticateToken, requireCollectorOrAdmin, collectionValidatio
 });
 
 // Update collection
-router.put('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations.id, collectionValidations.update, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations.id, collectionValidations.update, handleValidationErrors, auditTrail('Collection'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { amountPaid, date, balanceRemaining, paymentMethod, remarks } = req.body;
 
     // Check if collection exists
     const existingCollection = await prisma.collection.findUnique({
       where: { id },
       include: {
-        customer: true
+        customerScheme: true
       }
     });
 
@@ -282,44 +327,73 @@ router.put('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations
       });
     }
 
-    // Update collection
-    const updatedCollection = await prisma.collection.update({
-      where: { id },
-      data: updateData,
-      include: {
-        customer: {
-          select: {
-            id: true,
-            name: true,
-            mobile: true,
-            scheme: {
-              select: {
-                id: true,
-                name: true,
-                dailyPayment: true
-              }
-            }
-          }
-        },
-        collector: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
+    if (existingCollection.reversed || existingCollection.reversalOfId) {
+      return res.status(400).json({
+        success: false,
+        message: existingCollection.reversed
+          ? 'A reversed collection cannot be changed'
+          : 'A reversal cannot be changed'
+      });
+    }
+
+    const updateData = {};
+    if (date !== undefined) updateData.date = new Date(date);
+    if (paymentMethod !== undefined) updateData.paymentMethod = paymentMethod;
+    if (remarks !== undefined) updateData.remarks = remarks;
+
+    const updatedCollection = await prisma.$transaction(async (tx) => {
+      // Only the difference in amount paid moves the membership balance
+      if (amountPaid !== undefined && amountPaid !== existingCollection.amountPaid) {
+        const difference = amountPaid - existingCollection.amountPaid;
+        updateData.amountPaid = amountPaid;
+        updateData.balanceRemaining = existingCollection.balanceRemaining - difference;
+
+        if (existingCollection.customerSchemeId) {
+          await applyPayment(tx, existingCollection.customerSchemeId, difference);
         }
       }
-    });
 
-    // Update customer balance if balance remaining changed
-    if (updateData.balanceRemaining !== undefined) {
-      await prisma.customer.update({
-        where: { id: existingCollection.customerId },
-        data: {
-          balance: updateData.balanceRemaining
+      assertClientBalance(balanceRemaining, updateData.balanceRemaining ?? existingCollection.balanceRemaining);
+
+      const updated = await tx.collection.update({
+        where: { id },
+        data: updateData,
+        include: {
+          customer: {
+            select: {
+              id: true,
+              name: true,
+              mobile: true
+            }
+          },
+          customerScheme: {
+            select: {
+              id: true,
+              ticketNumber: true,
+              balance: true,
+              scheme: {
+                select: {
+                  id: true,
+                  name: true,
+                  dailyPayment: true
+                }
+              }
+            }
+          },
+          collector: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          }
         }
       });
-    }
+
+      await postCollection(tx, updated, req.user.id);
+      const receipt = await syncReceipt(tx, collectionPayment(updated), req.user.id, 'Payment amended');
+      return { ...updated, receipt };
+    });
 
     res.json({
       success: true,
@@ -327,6 +401,13 @@ router.put('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations
       data: { collection: updatedCollection }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Update collection error:', error);
     res.status(500).json({
       success: false,
@@ -336,17 +417,16 @@ router.put('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations
   }
 });
 
-// Delete collection
-router.delete('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+// Reverse a collection. The original stays in history flagged as reversed
+// and a negating collection linked to it restores the membership balance.
+router.delete('/:id', authenticateToken, requireCollectorOrAdmin, commonValidations.id, collectionValidations.reverse, handleValidationErrors, auditTrail('Collection'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
     // Check if collection exists
     const existingCollection = await prisma.collection.findUnique({
-      where: { id },
-      include: {
-        customer: true
-      }
+      where: { id }
     });
 
     if (!existingCollection) {
@@ -356,29 +436,72 @@ router.delete('/:id', authenticateToken, requireCollectorOrAdmin, commonValidati
       });
     }
 
-    // Delete collection
-    await prisma.collection.delete({
-      where: { id }
-    });
+    if (existingCollection.reversalOfId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reversal cannot itself be reversed'
+      });
+    }
 
-    // Restore customer balance
-    const newBalance = existingCollection.customer.balance + existingCollection.amountPaid;
-    await prisma.customer.update({
-      where: { id: existingCollection.customerId },
-      data: {
-        balance: newBalance
+    const reversal = await prisma.$transaction(async (tx) => {
+      // Only one request can flag the original, so it is reversed once
+      const { count } = await tx.collection.updateMany({
+        where: { id, reversed: false },
+        data: {
+          reversed: true,
+          reversedAt: new Date(),
+          reversedById: req.user.id,
+          reversalReason: reason
+        }
+      });
+
+      if (count === 0) {
+        throw new ApiError(400, 'Collection has already been reversed');
       }
+
+      const newBalance = existingCollection.customerSchemeId
+        ? await applyPayment(tx, existingCollection.customerSchemeId, -existingCollection.amountPaid)
+        : existingCollection.balanceRemaining + existingCollection.amountPaid;
+
+      const created = await tx.collection.create({
+        data: {
+          customerId: existingCollection.customerId,
+          customerSchemeId: existingCollection.customerSchemeId,
+          amountPaid: -existingCollection.amountPaid,
+          collectorId: req.user.id,
+          date: new Date(),
+          balanceRemaining: newBalance,
+          paymentMethod: existingCollection.paymentMethod,
+          remarks: reason,
+          reversalOfId: id
+        },
+        include: {
+          reversalOf: true
+        }
+      });
+
+      await postCollection(tx, created.reversalOf, req.user.id);
+      await syncReceipt(tx, { ...collectionPayment(existingCollection), amount: 0 }, req.user.id, `Payment reversed: ${reason}`);
+      return created;
     });
 
     res.json({
       success: true,
-      message: 'Collection deleted successfully'
+      message: 'Collection reversed successfully',
+      data: { reversal }
     });
   } catch (error) {
-    console.error('Delete collection error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Reverse collection error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete collection',
+      message: 'Failed to reverse collection',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -395,71 +518,92 @@ router.get('/stats/daily', authenticateToken, async (req, res) => {
     const endDate = new Date(targetDate);
     endDate.setHours(23, 59, 59, 999);
 
+    const dateFilter = {
+      gte: startDate,
+      lte: endDate
+    };
+
     const [
       totalCollected,
-      paidMembers,
-      pendingMembers,
-      totalMembers,
+      collectionsByMembership,
       collectionsByMethod
     ] = await Promise.all([
       prisma.collection.aggregate({
-        where: {
-          date: {
-            gte: startDate,
-            lte: endDate
-          }
-        },
+        where: { date: dateFilter },
         _sum: { amountPaid: true }
       }),
-      prisma.collection.count({
-        where: {
-          date: {
-            gte: startDate,
-            lte: endDate
-          },
-          amountPaid: { gt: 0 }
-        }
-      }),
-      prisma.collection.count({
-        where: {
-          date: {
-            gte: startDate,
-            lte: endDate
-          },
-          amountPaid: 0
-        }
-      }),
-      prisma.collection.count({
+      prisma.collection.groupBy({
+        by: ['customerSchemeId'],
         where: {
-          date: {
-            gte: startDate,
-            lte: endDate
-          }
-        }
+          date: dateFilter,
+          customerSchemeId: { not: null }
+        },
+        _sum: { amountPaid: true },
+        _count: { id: true }
       }),
       prisma.collection.groupBy({
         by: ['paymentMethod'],
-        where: {
-          date: {
-            gte: startDate,
-            lte: endDate
-          }
-        },
+        where: { date: dateFilter },
         _sum: { amountPaid: true },
         _count: { id: true }
       })
     ]);
 
+    // A membership counts as paid if anything was collected against it that day
+    const paidMembers = collectionsByMembership.filter(item => (item._sum.amountPaid || 0) > 0).length;
+    const totalMembers = collectionsByMembership.length;
+
+    // Roll memberships up to their schemes
+    const memberships = await prisma.customerScheme.findMany({
+      where: {
+        id: { in: collectionsByMembership.map(item => item.customerSchemeId) }
+      },
+      select: {
+        id: true,
+        scheme: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    });
+    const schemeByMembership = new Map(memberships.map(cs => [cs.id, cs.scheme]));
+
+    const collectionsByScheme = {};
+    collectionsByMembership.forEach(item => {
+      const scheme = schemeByMembership.get(item.customerSchemeId);
+      if (!scheme) return;
+
+      if (!collectionsByScheme[scheme.id]) {
+        collectionsByScheme[scheme.id] = {
+          schemeId: scheme.id,
+          schemeName: scheme.name,
+          amount: 0,
+          count: 0,
+          paidMembers: 0,
+          totalMembers: 0
+        };
+      }
+      collectionsByScheme[scheme.id].amount += item._sum.amountPaid || 0;
+      collectionsByScheme[scheme.id].count += item._count.id;
+      collectionsByScheme[scheme.id].totalMembers += 1;
+      if ((item._sum.amountPaid || 0) > 0) {
+        collectionsByScheme[scheme.id].paidMembers += 1;
+      }
+    });
+
     const stats = {
       totalCollected: totalCollected._sum.amountPaid || 0,
       paidMembers,
-      pendingMembers,
+      pendingMembers: totalMembers - paidMembers,
       totalMembers,
       collectionsByMethod: collectionsByMethod.map(item => ({
         method: item.paymentMethod,
         amount: item._sum.amountPaid || 0,
         count: item._count.id
-      }))
+      })),
+      collectionsByScheme: Object.values(collectionsByScheme)
     };
 
     res.json({
@@ -503,8 +647,15 @@ router.get('/stats/range', authenticateToken, async (req, res) => {
         date: true,
         amountPaid: true,
         paymentMethod: true,
-        customer: {
+        customerSchemeId: true,
+        customerScheme: {
           select: {
+            scheme: {
+              select: {
+                id: true,
+                name: true
+              }
+            }
           }
         }
       },
@@ -532,7 +683,9 @@ router.get('/stats/range', authenticateToken, async (req, res) => {
           date: key,
           totalCollected: 0,
           totalCollections: 0,
-          byMethod: {}
+          byMethod: {},
+          byScheme: {},
+          memberships: new Set()
         };
       }
 
@@ -545,10 +698,23 @@ router.get('/stats/range', authenticateToken, async (req, res) => {
       }
       groupedData[key].byMethod[collection.paymentMethod].amount += collection.amountPaid;
       groupedData[key].byMethod[collection.paymentMethod].count += 1;
-      
+
+      // Group by scheme through the membership the payment was recorded against
+      if (collection.customerScheme) {
+        const schemeName = collection.customerScheme.scheme.name;
+        if (!groupedData[key].byScheme[schemeName]) {
+          groupedData[key].byScheme[schemeName] = { amount: 0, count: 0 };
+        }
+        groupedData[key].byScheme[schemeName].amount += collection.amountPaid;
+        groupedData[key].byScheme[schemeName].count += 1;
+        groupedData[key].memberships.add(collection.customerSchemeId);
+      }
     });
 
-    const stats = Object.values(groupedData);
+    const stats = Object.values(groupedData).map(({ memberships, ...group }) => ({
+      ...group,
+      totalMembers: memberships.size
+    }));
 
     res.json({
       success: true,
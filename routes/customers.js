@@ -2,6 +2,7 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { customerValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -169,7 +170,7 @@ router.get('/:id', authenticateToken, commonValidations.id, handleValidationErro
 });
 
 // Create new customer
-router.post('/', authenticateToken, requireAgentOrAdmin, customerValidations.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requireAgentOrAdmin, customerValidations.create, handleValidationErrors, auditTrail('Customer'), async (req, res) => {
   try {
     const {
       name,
@@ -210,7 +211,7 @@ router.post('/', authenticateToken, requireAgentOrAdmin, customerValidations.cre
 });
 
 // Update customer
-router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, customerValidations.update, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, customerValidations.update, handleValidationErrors, auditTrail('Customer'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -309,7 +310,7 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
 });
 
 // Delete customer
-router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Customer'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -327,7 +328,17 @@ router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.
             },
             _count: {
               select: {
-                passbookEntries: true
+                // Generated installment schedules are removed along with the membership
+                passbookEntries: {
+                  where: { type: 'MANUAL' }
+                },
+                bids: true,
+                payouts: true,
+                collections: true,
+                dividends: true,
+                penalties: true,
+                receipts: true,
+                journalEntries: true
               }
             }
           }
@@ -367,26 +378,53 @@ router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.
       });
     }
 
+    // Bids are kept for auction audit
+    if (existingCustomer.schemes.some(customerScheme => customerScheme._count.bids > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete customer with recorded auction bids'
+      });
+    }
+
+    if (existingCustomer.schemes.some(customerScheme => customerScheme._count.payouts > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete customer with prize money payouts'
+      });
+    }
+
+    // Dividends, penalties, receipts and ledger postings must stay on record;
+    // such a customer can be marked inactive instead
+    const hasFinancialHistory = existingCustomer.schemes.some(({ _count }) =>
+      _count.collections > 0 || _count.dividends > 0 || _count.penalties > 0 ||
+      _count.receipts > 0 || _count.journalEntries > 0
+    );
+
+    if (hasFinancialHistory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete customer with financial history; mark the customer inactive instead'
+      });
+    }
+
     // Delete customer (this will cascade delete all CustomerScheme relationships)
-    await prisma.customer.delete({
-      where: { id }
-    });
+    // and release their seats in the same transaction
+    await prisma.$transaction(async (tx) => {
+      await tx.customer.delete({
+        where: { id }
+      });
 
-    // Update scheme members enrolled count for all schemes the customer was enrolled in
-    if (existingCustomer.schemes && existingCustomer.schemes.length > 0) {
-      await Promise.all(
-        existingCustomer.schemes.map(customerScheme =>
-          prisma.chitScheme.update({
-            where: { id: customerScheme.schemeId },
-            data: {
-              membersEnrolled: {
-                decrement: 1
-              }
+      for (const customerScheme of existingCustomer.schemes) {
+        await tx.chitScheme.update({
+          where: { id: customerScheme.schemeId },
+          data: {
+            membersEnrolled: {
+              decrement: 1
             }
-          })
-        )
-      );
-    }
+          }
+        });
+      }
+    });
 
     res.json({
       success: true,
@@ -512,6 +550,7 @@ router.get('/:id/schemes', authenticateToken, async (req, res) => {
       status: customerScheme.scheme.status,
       // Include customer-specific scheme data
       customerSchemeId: customerScheme.id,
+      ticketNumber: customerScheme.ticketNumber,
       enrolledAt: customerScheme.enrolledAt,
       amountPerDay: customerScheme.amountPerDay,
       duration: customerScheme.duration,
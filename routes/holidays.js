@@ -0,0 +1,109 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { holidayValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get holidays, optionally for a single year
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { year } = req.query;
+
+    const where = {};
+    if (year) {
+      where.date = {
+        gte: new Date(`${parseInt(year)}-01-01`),
+        lt: new Date(`${parseInt(year) + 1}-01-01`)
+      };
+    }
+
+    const holidays = await prisma.holiday.findMany({
+      where,
+      orderBy: { date: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { holidays }
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add a holiday (Admin only)
+router.post('/', authenticateToken, requireAdmin, holidayValidations.create, handleValidationErrors, auditTrail('Holiday'), async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    const holiday = await prisma.holiday.create({
+      data: {
+        date: new Date(date),
+        name
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: { holiday }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A holiday already exists on this date'
+      });
+    }
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a holiday (Admin only)
+router.delete('/:id', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('Holiday'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await prisma.holiday.findUnique({
+      where: { id }
+    });
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    await prisma.holiday.delete({
+      where: { id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
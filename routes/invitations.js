@@ -0,0 +1,141 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { invitationValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { invitationStatus, createInvitation } = require('../services/invitations');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+const withStatus = (invitation) => ({ ...invitation, status: invitationStatus(invitation) });
+
+// Get invitations, newest first (Admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const invitations = (await prisma.invitation.findMany({
+      orderBy: { createdAt: 'desc' },
+      select: invitationSelect
+    })).map(withStatus);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: status ? invitations.filter(invitation => invitation.status === status) : invitations
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Invite someone to a staff account with a role (Admin only). The token is
+// returned once, to be passed on to the invitee.
+router.post('/', authenticateToken, requireAdmin, invitationValidations.create, handleValidationErrors, auditTrail('Invitation'), async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    const { invitation, token } = await prisma.$transaction(async (tx) => {
+      const created = await createInvitation(tx, { email, name, role }, req.user.id);
+      return {
+        invitation: await tx.invitation.findUnique({
+          where: { id: created.invitation.id },
+          select: invitationSelect
+        }),
+        token: created.token
+      };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: {
+        invitation: withStatus(invitation),
+        token
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Revoke an invitation that has not been accepted (Admin only)
+router.delete('/:id', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('Invitation'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.invitation.updateMany({
+      where: { id, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      const invitation = await prisma.invitation.findUnique({
+        where: { id },
+        select: { id: true }
+      });
+      return res.status(invitation ? 400 : 404).json({
+        success: false,
+        message: invitation ? 'Invitation has already been accepted or revoked' : 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
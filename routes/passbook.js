@@ -2,10 +2,28 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { passbookValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { applyPayment } = require('../services/balances');
+const { pendingPenalties, penaltyTotals } = require('../services/penalties');
+const { postPassbookPayment } = require('../services/ledger');
+const { issueReceipt, syncReceipt, passbookPayment } = require('../services/receipts');
+const { setDownloadHeaders } = require('../services/reportExport');
+const { writePassbookPdf } = require('../services/passbookPdf');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Amount an entry takes off the membership balance; GENERATED rows are the
+// installment schedule and NOT_PAID rows only mark a missed day
+const paidAmount = (entry) => (
+  entry.type === 'GENERATED' || entry.paymentMethod === 'NOT_PAID' ? 0 : Number(entry.amount) || 0
+);
+
+// Fields a payment entry can be corrected on. Type and the reversal columns are
+// never taken from the body: DELETE /:id is the only way to undo an entry.
+const EDITABLE_FIELDS = ['amount', 'date', 'month', 'paymentMethod'];
+
 // Get passbook entries for a customer
 router.get('/customer/:customerId', authenticateToken, async (req, res) => {
   try {
@@ -54,6 +72,7 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
 
     // Build where clause for customer schemes
     const where = {};
+    let customerSchemeIds;
     
     // If schemeId is provided, filter by specific scheme
     if (schemeId) {
@@ -64,10 +83,11 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
           message: 'Customer is not enrolled in the specified scheme'
         });
       }
+      customerSchemeIds = [customerScheme.id];
       where.customerSchemeId = customerScheme.id;
     } else {
       // Get all customer scheme IDs
-      const customerSchemeIds = customer.schemes.map(cs => cs.id);
+      customerSchemeIds = customer.schemes.map(cs => cs.id);
       where.customerSchemeId = { in: customerSchemeIds };
     }
     
@@ -121,11 +141,23 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
       }
     });
 
+    // Recorded charges plus those due since the last accrual run; reading the
+    // passbook never records charges itself
+    const [recordedPenalties, pending] = await Promise.all([
+      penaltyTotals(prisma, customerSchemeIds),
+      pendingPenalties(prisma, customerSchemeIds)
+    ]);
+    const penalties = {
+      ...recordedPenalties,
+      pendingPenalty: Object.values(pending).reduce((sum, amount) => sum + amount, 0)
+    };
+
     res.json({
       success: true,
       data: {
         customer,
         entries: entries,
+        penalties,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -144,8 +176,61 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
   }
 });
 
+// Download the printable passbook of one membership
+router.get('/customer/:customerId/pdf', authenticateToken, passbookValidations.pdf, handleValidationErrors, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { schemeId } = req.query;
+
+    const customerScheme = await prisma.customerScheme.findUnique({
+      where: {
+        customerId_schemeId: {
+          customerId,
+          schemeId
+        }
+      },
+      include: {
+        customer: true,
+        scheme: true
+      }
+    });
+
+    if (!customerScheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer is not enrolled in the specified scheme'
+      });
+    }
+
+    const [entries, dividends] = await Promise.all([
+      prisma.passbookEntry.findMany({
+        where: { customerSchemeId: customerScheme.id },
+        orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+      }),
+      prisma.dividend.aggregate({
+        where: { customerSchemeId: customerScheme.id },
+        _sum: { amount: true }
+      })
+    ]);
+
+    setDownloadHeaders(res, 'pdf', `passbook-${customerScheme.customer.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-ticket-${customerScheme.ticketNumber}`);
+    writePassbookPdf(res, {
+      customerScheme,
+      entries: entries.map(entry => ({ ...entry, paid: paidAmount(entry) })),
+      dividendsCredited: dividends._sum.amount || 0
+    });
+  } catch (error) {
+    console.error('Passbook PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate passbook PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Create new passbook entry
-router.post('/', authenticateToken, requireAgentOrAdmin, passbookValidations.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requireAgentOrAdmin, passbookValidations.create, handleValidationErrors, auditTrail('PassbookEntry'), async (req, res) => {
   try {
     const {
       customerId,
@@ -184,43 +269,54 @@ router.post('/', authenticateToken, requireAgentOrAdmin, passbookValidations.cre
     // Allow multiple manual entries for the same month
     // Users can add as many daily or monthly entries as they want
 
-    const entry = await prisma.passbookEntry.create({
-      data: {
-        customerScheme: {
-          connect: { id: customerScheme.id }
+    const entryAmount = amount || dailyPayment; // Use dailyPayment if amount is null/empty
+
+    // Take the payment off the membership balance and create the entry together
+    const entry = await prisma.$transaction(async (tx) => {
+      await applyPayment(tx, customerScheme.id, paidAmount({ paymentMethod, amount: entryAmount }));
+
+      const created = await tx.passbookEntry.create({
+        data: {
+          customerScheme: {
+            connect: { id: customerScheme.id }
+          },
+          month: month ? parseInt(month) : new Date(date).getMonth() + 1,
+          date: new Date(date),
+          dailyPayment,
+          amount: entryAmount,
+          chittiAmount,
+          chitLiftingAmount: chitLiftingAmount || null,
+          type,
+          paymentMethod,
+          paymentFrequency,
+          chitLifting
         },
-        month: month ? parseInt(month) : new Date(date).getMonth() + 1,
-        date: new Date(date),
-        dailyPayment,
-        amount: amount || dailyPayment, // Use dailyPayment if amount is null/empty
-        chittiAmount,
-        chitLiftingAmount: chitLiftingAmount || null,
-        type,
-        paymentMethod,
-        paymentFrequency,
-        chitLifting
-      },
-      include: {
-        customerScheme: {
-          include: {
-            customer: {
-              select: {
-                id: true,
-                name: true,
-                mobile: true,
-                status: true
-              }
-            },
-            scheme: {
-              select: {
-                id: true,
-                name: true,
-                chitValue: true
+        include: {
+          customerScheme: {
+            include: {
+              customer: {
+                select: {
+                  id: true,
+                  name: true,
+                  mobile: true,
+                  status: true
+                }
+              },
+              scheme: {
+                select: {
+                  id: true,
+                  name: true,
+                  chitValue: true
+                }
               }
             }
           }
         }
-      }
+      });
+
+      await postPassbookPayment(tx, created, req.user.id);
+      const receipt = await issueReceipt(tx, passbookPayment(created, paidAmount(created)), req.user.id);
+      return { ...created, receipt };
     });
 
     res.status(201).json({
@@ -229,6 +325,13 @@ router.post('/', authenticateToken, requireAgentOrAdmin, passbookValidations.cre
       data: { entry }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Create passbook entry error:', error);
     res.status(500).json({
       success: false,
@@ -239,10 +342,23 @@ router.post('/', authenticateToken, requireAgentOrAdmin, passbookValidations.cre
 });
 
 // Update passbook entry
-router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, passbookValidations.update, handleValidationErrors, auditTrail('PassbookEntry'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { schemeId, ...updateData } = req.body; // Remove schemeId from updateData
+    const { schemeId } = req.body;
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+    if (updateData.date) {
+      updateData.date = new Date(updateData.date);
+    }
+    if (updateData.month !== undefined) {
+      updateData.month = parseInt(updateData.month);
+    }
 
     // Check if entry exists
     const existingEntry = await prisma.passbookEntry.findUnique({
@@ -272,6 +388,15 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
       });
     }
 
+    if (existingEntry.reversed || existingEntry.reversalOfId) {
+      return res.status(400).json({
+        success: false,
+        message: existingEntry.reversed
+          ? 'A reversed entry cannot be changed'
+          : 'A reversal cannot be changed'
+      });
+    }
+
     // If schemeId is provided and different from current scheme, find the new customerScheme
     let customerSchemeId = existingEntry.customerSchemeId;
     if (schemeId && schemeId !== existingEntry.customerScheme.schemeId) {
@@ -292,33 +417,43 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
       customerSchemeId = newCustomerScheme.id;
     }
 
-    const updatedEntry = await prisma.passbookEntry.update({
-      where: { id },
-      data: {
-        ...updateData,
-        ...(customerSchemeId !== existingEntry.customerSchemeId && { customerSchemeId })
-      },
-      include: {
-        customerScheme: {
-          include: {
-            customer: {
-              select: {
-                id: true,
-                name: true,
-                mobile: true,
-                status: true
-              }
-            },
-            scheme: {
-              select: {
-                id: true,
-                name: true,
-                chitValue: true
+    // Swap the old payment for the new one on the affected membership balances
+    const updatedEntry = await prisma.$transaction(async (tx) => {
+      await applyPayment(tx, existingEntry.customerSchemeId, -paidAmount(existingEntry));
+      await applyPayment(tx, customerSchemeId, paidAmount({ ...existingEntry, ...updateData }));
+
+      const updated = await tx.passbookEntry.update({
+        where: { id },
+        data: {
+          ...updateData,
+          ...(customerSchemeId !== existingEntry.customerSchemeId && { customerSchemeId })
+        },
+        include: {
+          customerScheme: {
+            include: {
+              customer: {
+                select: {
+                  id: true,
+                  name: true,
+                  mobile: true,
+                  status: true
+                }
+              },
+              scheme: {
+                select: {
+                  id: true,
+                  name: true,
+                  chitValue: true
+                }
               }
             }
           }
         }
-      }
+      });
+
+      await postPassbookPayment(tx, updated, req.user.id);
+      const receipt = await syncReceipt(tx, passbookPayment(updated, paidAmount(updated)), req.user.id, 'Payment amended');
+      return { ...updated, receipt };
     });
 
     res.json({
@@ -327,6 +462,13 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
       data: { entry: updatedEntry }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Update passbook entry error:', error);
     res.status(500).json({
       success: false,
@@ -336,10 +478,12 @@ router.put('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id,
   }
 });
 
-// Delete passbook entry
-router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+// Reverse a passbook entry. The original stays in the passbook flagged as
+// reversed and a negating entry linked to it restores the membership balance.
+router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.id, passbookValidations.reverse, handleValidationErrors, auditTrail('PassbookEntry'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
     // Check if entry exists
     const existingEntry = await prisma.passbookEntry.findUnique({
@@ -353,27 +497,80 @@ router.delete('/:id', authenticateToken, requireAgentOrAdmin, commonValidations.
       });
     }
 
-    // Only allow deleting manual entries
+    // Only allow reversing manual entries
     if (existingEntry.type === 'GENERATED') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete generated entries'
+        message: 'Cannot reverse generated entries'
       });
     }
 
-    await prisma.passbookEntry.delete({
-      where: { id }
+    if (existingEntry.reversalOfId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reversal cannot itself be reversed'
+      });
+    }
+
+    const reversal = await prisma.$transaction(async (tx) => {
+      // Only one request can flag the original, so it is reversed once
+      const { count } = await tx.passbookEntry.updateMany({
+        where: { id, reversed: false },
+        data: {
+          reversed: true,
+          reversedAt: new Date(),
+          reversedById: req.user.id,
+          reversalReason: reason
+        }
+      });
+
+      if (count === 0) {
+        throw new ApiError(400, 'Passbook entry has already been reversed');
+      }
+
+      await applyPayment(tx, existingEntry.customerSchemeId, -paidAmount(existingEntry));
+
+      const created = await tx.passbookEntry.create({
+        data: {
+          customerSchemeId: existingEntry.customerSchemeId,
+          month: existingEntry.month,
+          date: new Date(),
+          dailyPayment: 0,
+          amount: -existingEntry.amount,
+          chittiAmount: -existingEntry.chittiAmount,
+          type: 'MANUAL',
+          paymentMethod: existingEntry.paymentMethod,
+          paymentFrequency: existingEntry.paymentFrequency,
+          chitLifting: 'NO',
+          reversalOfId: id
+        },
+        include: {
+          reversalOf: true
+        }
+      });
+
+      await postPassbookPayment(tx, created.reversalOf, req.user.id);
+      await syncReceipt(tx, passbookPayment(existingEntry, 0), req.user.id, `Payment reversed: ${reason}`);
+      return created;
     });
 
     res.json({
       success: true,
-      message: 'Passbook entry deleted successfully'
+      message: 'Passbook entry reversed successfully',
+      data: { reversal }
     });
   } catch (error) {
-    console.error('Delete passbook entry error:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Reverse passbook entry error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete passbook entry',
+      message: 'Failed to reverse passbook entry',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -412,43 +609,63 @@ router.get('/customer/:customerId/summary', authenticateToken, async (req, res)
       });
     }
 
-    // Get passbook statistics
+    // Get passbook statistics across all of the customer's memberships
+    const where = { customerScheme: { customerId } };
+
     const [
       totalEntries,
       manualEntries,
       generatedEntries,
       totalPaid,
+      totalDue,
       totalChittiAmount
     ] = await Promise.all([
       prisma.passbookEntry.count({
-        where: { customerId }
+        where
       }),
       prisma.passbookEntry.count({
-        where: { customerId, type: 'MANUAL' }
+        where: { ...where, type: 'MANUAL' }
       }),
       prisma.passbookEntry.count({
-        where: { customerId, type: 'GENERATED' }
+        where: { ...where, type: 'GENERATED' }
       }),
       prisma.passbookEntry.aggregate({
-        where: { customerId },
+        where: { ...where, type: 'MANUAL', paymentMethod: { not: 'NOT_PAID' } },
         _sum: { amount: true }
       }),
       prisma.passbookEntry.aggregate({
-        where: { customerId },
+        where: { ...where, type: 'GENERATED' },
+        _sum: { dailyPayment: true }
+      }),
+      prisma.passbookEntry.aggregate({
+        where,
         _sum: { chittiAmount: true }
       })
     ]);
 
+    const remainingBalance = customer.schemes.reduce((sum, cs) => sum + cs.balance, 0);
+    const totalAmount = customer.schemes.reduce((sum, cs) => sum + (cs.amountPerDay * cs.duration), 0);
+
+    const customerSchemeIds = customer.schemes.map(cs => cs.id);
+    const [penalties, pending] = await Promise.all([
+      penaltyTotals(prisma, customerSchemeIds),
+      pendingPenalties(prisma, customerSchemeIds)
+    ]);
+
     const summary = {
       customer,
       totalEntries,
       manualEntries,
       generatedEntries,
       totalPaid: totalPaid._sum.amount || 0,
+      totalScheduled: totalDue._sum.dailyPayment || 0,
       totalChittiAmount: totalChittiAmount._sum.chittiAmount || 0,
-      remainingBalance: customer.balance,
-      totalAmount: customer.amountPerDay * customer.duration,
-      progressPercentage: Math.round(((customer.amountPerDay * customer.duration - customer.balance) / (customer.amountPerDay * customer.duration)) * 100)
+      remainingBalance,
+      accruedPenalty: penalties.accruedPenalty,
+      waivedPenalty: penalties.waivedPenalty,
+      pendingPenalty: Object.values(pending).reduce((sum, amount) => sum + amount, 0),
+      totalAmount,
+      progressPercentage: totalAmount > 0 ? Math.round(((totalAmount - remainingBalance) / totalAmount) * 100) : 0
     };
 
     res.json({
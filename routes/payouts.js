@@ -0,0 +1,235 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { payoutValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const payouts = require('../services/payouts');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get all payouts with pagination and filtering
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      chitSchemeId,
+      customerId
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (chitSchemeId) {
+      where.auction = { chitSchemeId };
+    }
+
+    if (customerId) {
+      where.customerScheme = { customerId };
+    }
+
+    const [totalCount, payoutList, totals] = await Promise.all([
+      prisma.payout.count({ where }),
+      prisma.payout.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        include: payouts.payoutInclude
+      }),
+      prisma.payout.groupBy({
+        by: ['status'],
+        where,
+        _count: { id: true },
+        _sum: { amount: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payoutList,
+        summary: totals.map(total => ({
+          status: total.status,
+          count: total._count.id,
+          amount: total._sum.amount || 0
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get payout by ID
+router.get('/:id', authenticateToken, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const payout = await prisma.payout.findUnique({
+      where: { id: req.params.id },
+      include: payouts.payoutInclude
+    });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { payout }
+    });
+  } catch (error) {
+    console.error('Get payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record guarantor details and security documents
+router.put('/:id/guarantor', authenticateToken, requireAgentOrAdmin, commonValidations.id, payoutValidations.guarantor, handleValidationErrors, auditTrail('Payout'), async (req, res) => {
+  try {
+    const fields = ['guarantorName', 'guarantorMobile', 'guarantorAddress', 'guarantorRelation', 'securityDocuments', 'remarks'];
+    const data = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const payout = await payouts.updateGuarantor(prisma, req.params.id, data);
+
+    res.json({
+      success: true,
+      message: 'Guarantor details saved',
+      data: { payout }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Update payout guarantor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save guarantor details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark the guarantor and documents as checked
+router.post('/:id/verify-guarantor', authenticateToken, requireAgentOrAdmin, commonValidations.id, handleValidationErrors, auditTrail('Payout'), async (req, res) => {
+  try {
+    const payout = await payouts.verifyGuarantor(prisma, req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Guarantor verified',
+      data: { payout }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Verify payout guarantor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify guarantor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Admin approval before any money is released
+router.post('/:id/approve', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('Payout'), async (req, res) => {
+  try {
+    const payout = await payouts.approvePayout(prisma, req.params.id, req.user.id, req.body.remarks);
+
+    res.json({
+      success: true,
+      message: 'Payout approved',
+      data: { payout }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Approve payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record the prize money as paid to the member
+router.post('/:id/release', authenticateToken, requireAgentOrAdmin, commonValidations.id, payoutValidations.release, handleValidationErrors, auditTrail('Payout'), async (req, res) => {
+  try {
+    const { paymentMethod, paymentReference, paidAt } = req.body;
+
+    const payout = await payouts.releasePayout(prisma, req.params.id, req.user.id, {
+      paymentMethod,
+      paymentReference,
+      paidAt
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout released',
+      data: { payout }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Release payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
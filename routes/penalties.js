@@ -0,0 +1,170 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { penaltyValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin, requireAgentOrAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { accruePenalties, penaltyTotals, waivePenalty } = require('../services/penalties');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get penalty charges with pagination and filtering
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      customerId,
+      customerSchemeId,
+      schemeId,
+      waived
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+
+    if (customerSchemeId) {
+      where.customerSchemeId = customerSchemeId;
+    }
+
+    if (customerId || schemeId) {
+      where.customerScheme = {
+        ...(customerId && { customerId }),
+        ...(schemeId && { schemeId })
+      };
+    }
+
+    if (waived === 'true') {
+      where.waivedAt = { not: null };
+    } else if (waived === 'false') {
+      where.waivedAt = null;
+    }
+
+    const [totalCount, penalties, totals] = await Promise.all([
+      prisma.penalty.count({ where }),
+      prisma.penalty.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ dueDate: 'desc' }, { period: 'desc' }],
+        include: {
+          customerScheme: {
+            select: {
+              id: true,
+              ticketNumber: true,
+              customer: {
+                select: {
+                  id: true,
+                  name: true,
+                  mobile: true
+                }
+              },
+              scheme: {
+                select: {
+                  id: true,
+                  name: true
+                }
+              }
+            }
+          },
+          waivedBy: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      }),
+      prisma.penalty.aggregate({
+        where,
+        _sum: { amount: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        penalties,
+        totalAmount: totals._sum.amount || 0,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get penalties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch penalties',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Charge penalties on overdue installments, for one membership or every active one
+router.post('/accrue', authenticateToken, requireAgentOrAdmin, auditTrail('Penalty'), async (req, res) => {
+  try {
+    const { customerSchemeId } = req.body;
+
+    const customerSchemes = await prisma.customerScheme.findMany({
+      where: customerSchemeId ? { id: customerSchemeId } : { status: 'ACTIVE' },
+      select: { id: true }
+    });
+    const customerSchemeIds = customerSchemes.map(cs => cs.id);
+
+    const accrued = await accruePenalties(prisma, customerSchemeIds);
+    const totals = await penaltyTotals(prisma, customerSchemeIds);
+
+    res.json({
+      success: true,
+      message: `${accrued} penalty charge(s) recorded`,
+      data: {
+        accrued,
+        accruedPenalty: totals.accruedPenalty,
+        waivedPenalty: totals.waivedPenalty
+      }
+    });
+  } catch (error) {
+    console.error('Accrue penalties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accrue penalties',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Waive a penalty charge (Admin only); the reason is kept with the charge
+router.post('/:id/waive', authenticateToken, requireAdmin, commonValidations.id, penaltyValidations.waive, handleValidationErrors, auditTrail('Penalty'), async (req, res) => {
+  try {
+    const penalty = await waivePenalty(prisma, req.params.id, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Penalty waived',
+      data: { penalty }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Waive penalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to waive penalty',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
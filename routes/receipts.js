@@ -0,0 +1,161 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { receiptValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { cancelReceipt } = require('../services/receipts');
+const { receiptText, writeReceiptPdf } = require('../services/receiptPrint');
+const { setDownloadHeaders } = require('../services/reportExport');
+const { letterhead } = require('../utils/company');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const receiptInclude = {
+  issuedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  cancelledBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+// Get receipts with pagination and filtering
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      branchCode,
+      financialYear,
+      status,
+      customerSchemeId
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (branchCode) where.branchCode = branchCode;
+    if (financialYear) where.financialYear = financialYear;
+    if (status) where.status = status;
+    if (customerSchemeId) where.customerSchemeId = customerSchemeId;
+
+    const [totalCount, receipts] = await Promise.all([
+      prisma.receipt.count({ where }),
+      prisma.receipt.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ branchCode: 'asc' }, { financialYear: 'desc' }, { sequence: 'desc' }],
+        include: receiptInclude
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a receipt by number, as JSON, a PDF or text for a thermal printer
+router.get('/:number', authenticateToken, receiptValidations.print, handleValidationErrors, async (req, res) => {
+  try {
+    const { number } = req.params;
+    const { format, width } = req.query;
+
+    const receipt = await prisma.receipt.findUnique({
+      where: { number },
+      include: receiptInclude
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    if (format === 'pdf') {
+      setDownloadHeaders(res, 'pdf', `receipt-${receipt.number}`);
+      return writeReceiptPdf(res, receipt);
+    }
+
+    if (format === 'text') {
+      res.type('text/plain; charset=utf-8');
+      return res.send(receiptText(receipt, { company: letterhead(), width }));
+    }
+
+    res.json({
+      success: true,
+      data: { receipt }
+    });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel a receipt (Admin only). The number stays in the sequence, marked void.
+router.post('/:number/cancel', authenticateToken, requireAdmin, receiptValidations.cancel, handleValidationErrors, auditTrail('Receipt', { key: 'number', id: req => req.params.number }), async (req, res) => {
+  try {
+    const { number } = req.params;
+
+    const receipt = await prisma.$transaction(async (tx) => {
+      await cancelReceipt(tx, number, req.user.id, req.body.reason);
+      return tx.receipt.findUnique({
+        where: { number },
+        include: receiptInclude
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Receipt cancelled',
+      data: { receipt }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Cancel receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
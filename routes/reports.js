@@ -1,10 +1,64 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireAgentOrAdmin } = require('../middleware/auth');
+const { withWinningTickets } = require('../services/membership');
+const { subscriptionReceipts, receiptsTotal, accountBalances } = require('../services/ledger');
+const { sendReport, formatValue } = require('../services/reportExport');
+const { reportValidations, handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Collections that still stand: neither reversed nor the reversal of another
+const standingCollection = { reversed: false, reversalOfId: null };
+
+// Count paid/pending members per scheme membership rather than per collection row,
+// so a member paying twice in a period (or in two chits) is counted correctly
+const summarizeMemberships = (collections) => {
+  const paidByMembership = new Map();
+  collections.forEach(collection => {
+    const key = collection.customerSchemeId || `customer-${collection.customerId}`;
+    const paid = paidByMembership.get(key) || 0;
+    paidByMembership.set(key, paid + (collection.amountPaid || 0));
+  });
+
+  const paidMembers = [...paidByMembership.values()].filter(amount => amount > 0).length;
+  return {
+    paidMembers,
+    pendingMembers: paidByMembership.size - paidMembers
+  };
+};
+
+// Reporting period for the ledger statements. Without a start date the
+// period runs from the first posting; the end date defaults to today.
+const ledgerPeriod = ({ startDate, endDate }) => {
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+
+  if ((start && isNaN(start.getTime())) || isNaN(end.getTime())) {
+    return { error: 'Invalid start or end date' };
+  }
+  if (start && start > end) {
+    return { error: 'Start date must be before end date' };
+  }
+  return { start, end };
+};
+
+// Period covered by a report, as printed on exported files
+const periodLabel = (start, end) => (start
+  ? `${formatValue(start, 'date')} to ${formatValue(end, 'date')}`
+  : `Up to ${formatValue(end, 'date')}`);
+
+// Columns shared by the daily, monthly and yearly report exports
+const periodSummaryColumns = [
+  { key: 'totalCollection', label: 'Total collection', type: 'amount' },
+  { key: 'paidMembers', label: 'Paid members', type: 'number' },
+  { key: 'pendingMembers', label: 'Pending members', type: 'number' },
+  { key: 'defaulters', label: 'Defaulters', type: 'number' },
+  { key: 'collectionRate', label: 'Collection rate', type: 'percent' }
+];
+
 // Get dashboard overview statistics
 router.get('/dashboard/overview', authenticateToken, async (req, res) => {
   try {
@@ -16,22 +70,24 @@ router.get('/dashboard/overview', authenticateToken, async (req, res) => {
       totalCollections,
       totalAuctions,
       totalRevenue,
-      pendingCollections
+      pendingCollections,
+      balances
     ] = await Promise.all([
       prisma.chitScheme.count(),
       prisma.chitScheme.count({ where: { status: 'ACTIVE' } }),
       prisma.customer.count(),
       prisma.customer.count({ where: { status: 'ACTIVE' } }),
-      prisma.collection.count(),
+      prisma.collection.count({ where: standingCollection }),
       prisma.auction.count(),
-      prisma.collection.aggregate({
-        _sum: { amountPaid: true }
-      }),
+      receiptsTotal(prisma),
       prisma.collection.count({
-        where: { amountPaid: 0 }
-      })
+        where: { ...standingCollection, amountPaid: 0 }
+      }),
+      accountBalances(prisma)
     ]);
 
+    const balanceOf = (account) => balances.find(row => row.account === account).balance;
+
     const overview = {
       schemes: {
         total: totalSchemes,
@@ -52,7 +108,9 @@ router.get('/dashboard/overview', authenticateToken, async (req, res) => {
         total: totalAuctions
       },
       revenue: {
-        total: totalRevenue._sum.amountPaid || 0
+        total: totalRevenue,
+        commissionIncome: balanceOf('COMMISSION_INCOME'),
+        penaltyIncome: balanceOf('PENALTY_INCOME')
       }
     };
 
@@ -71,7 +129,7 @@ router.get('/dashboard/overview', authenticateToken, async (req, res) => {
 });
 
 // Get revenue report
-router.get('/revenue', authenticateToken, async (req, res) => {
+router.get('/revenue', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { 
       startDate, 
@@ -91,53 +149,14 @@ router.get('/revenue', authenticateToken, async (req, res) => {
     const end = new Date(endDate);
     end.setHours(23, 59, 59, 999);
 
-    // Build where clause
-    const where = {
-      date: {
-        gte: start,
-        lte: end
-      }
-    };
-
-    if (schemeId) {
-      where.customer = {
-        schemes: {
-          some: {
-            schemeId: schemeId
-          }
-        }
-      };
-    }
-
-
-    const collections = await prisma.collection.findMany({
-      where,
-      include: {
-        customer: {
-          select: {
-            id: true,
-            name: true,
-            schemes: {
-              include: {
-                scheme: {
-                  select: {
-                    id: true,
-                    name: true
-                  }
-                }
-              }
-            }
-          }
-        }
-      },
-      orderBy: { date: 'asc' }
-    });
+    // Subscriptions received through collections and passbook payments, as posted to the ledger
+    const receipts = await subscriptionReceipts(prisma, { start, end, schemeId });
 
     // Group data by time period
     const groupedData = {};
-    collections.forEach(collection => {
+    receipts.forEach(receipt => {
       let key;
-      const date = new Date(collection.date);
+      const date = new Date(receipt.date);
       
       if (groupBy === 'day') {
         key = date.toISOString().split('T')[0];
@@ -155,33 +174,59 @@ router.get('/revenue', authenticateToken, async (req, res) => {
           totalRevenue: 0,
           totalCollections: 0,
           byScheme: {},
-          byPaymentMethod: {}
+          byPaymentMethod: {},
+          payments: new Set()
         };
       }
 
-      groupedData[key].totalRevenue += collection.amountPaid;
-      groupedData[key].totalCollections += 1;
+      // Edits and deletions post further entries for the same payment, so count each payment once
+      const paymentKey = `${receipt.sourceType}-${receipt.sourceId}`;
+      const firstEntry = !groupedData[key].payments.has(paymentKey);
+      groupedData[key].payments.add(paymentKey);
 
-      // Group by scheme (handle multiple schemes per customer)
-      collection.customer.schemes.forEach(customerScheme => {
-        const schemeName = customerScheme.scheme.name;
-        if (!groupedData[key].byScheme[schemeName]) {
-          groupedData[key].byScheme[schemeName] = { amount: 0, count: 0 };
-        }
-        groupedData[key].byScheme[schemeName].amount += collection.amountPaid;
-        groupedData[key].byScheme[schemeName].count += 1;
-      });
+      groupedData[key].totalRevenue += receipt.amount;
+      groupedData[key].totalCollections += firstEntry ? 1 : 0;
+
+      // Group by the scheme of the membership the payment was recorded against
+      const schemeName = receipt.scheme ? receipt.scheme.name : 'Unassigned';
+      if (!groupedData[key].byScheme[schemeName]) {
+        groupedData[key].byScheme[schemeName] = { amount: 0, count: 0 };
+      }
+      groupedData[key].byScheme[schemeName].amount += receipt.amount;
+      groupedData[key].byScheme[schemeName].count += firstEntry ? 1 : 0;
 
       // Group by payment method
-      const paymentMethod = collection.paymentMethod;
+      const paymentMethod = receipt.paymentMethod;
       if (!groupedData[key].byPaymentMethod[paymentMethod]) {
         groupedData[key].byPaymentMethod[paymentMethod] = { amount: 0, count: 0 };
       }
-      groupedData[key].byPaymentMethod[paymentMethod].amount += collection.amountPaid;
-      groupedData[key].byPaymentMethod[paymentMethod].count += 1;
+      groupedData[key].byPaymentMethod[paymentMethod].amount += receipt.amount;
+      groupedData[key].byPaymentMethod[paymentMethod].count += firstEntry ? 1 : 0;
     });
 
-    const revenueData = Object.values(groupedData);
+    const revenueData = Object.values(groupedData).map(({ payments, ...group }) => group);
+
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Revenue Report',
+        filename: 'revenue-report',
+        subtitle: periodLabel(start, end),
+        columns: [
+          { key: 'date', label: 'Period', type: 'text' },
+          { key: 'totalCollections', label: 'Payments', type: 'number' },
+          { key: 'cash', label: 'Cash', type: 'amount' },
+          { key: 'bank', label: 'Bank / UPI / Cheque', type: 'amount' },
+          { key: 'totalRevenue', label: 'Revenue', type: 'amount' }
+        ],
+        rows: revenueData.map(group => {
+          const cash = group.byPaymentMethod.CASH ? group.byPaymentMethod.CASH.amount : 0;
+          return { ...group, cash, bank: group.totalRevenue - cash };
+        }),
+        summary: [
+          { label: 'Total revenue', value: revenueData.reduce((sum, group) => sum + group.totalRevenue, 0), type: 'amount' }
+        ]
+      });
+    }
 
     res.json({
       success: true,
@@ -198,7 +243,7 @@ router.get('/revenue', authenticateToken, async (req, res) => {
 });
 
 // Get customer performance report
-router.get('/customers/performance', authenticateToken, async (req, res) => {
+router.get('/customers/performance', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { 
       schemeId,
@@ -236,7 +281,9 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
           }
         },
         collections: {
+          where: standingCollection,
           select: {
+            customerSchemeId: true,
             amountPaid: true,
             date: true,
             paymentMethod: true
@@ -244,7 +291,7 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
         },
         _count: {
           select: {
-            collections: true
+            collections: { where: standingCollection }
           }
         }
       }
@@ -253,9 +300,9 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
     // Calculate performance metrics
     const performanceData = customers.map(customer => {
       const totalPaid = customer.collections.reduce((sum, collection) => sum + collection.amountPaid, 0);
-      const totalAmount = customer.amountPerDay * customer.duration;
-      const remainingBalance = customer.balance;
-      const progressPercentage = Math.round(((totalAmount - remainingBalance) / totalAmount) * 100);
+      const totalAmount = customer.schemes.reduce((sum, cs) => sum + (cs.amountPerDay * cs.duration), 0);
+      const remainingBalance = customer.schemes.reduce((sum, cs) => sum + cs.balance, 0);
+      const progressPercentage = totalAmount > 0 ? Math.round(((totalAmount - remainingBalance) / totalAmount) * 100) : 0;
       const averagePayment = customer.collections.length > 0 ? totalPaid / customer.collections.length : 0;
       
       // Calculate payment consistency
@@ -272,6 +319,21 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
           startDate: customer.startDate
         },
         schemes: customer.schemes.map(cs => cs.scheme),
+        memberships: customer.schemes.map(cs => {
+          const membershipTotal = cs.amountPerDay * cs.duration;
+          return {
+            customerSchemeId: cs.id,
+            ticketNumber: cs.ticketNumber,
+            scheme: cs.scheme,
+            status: cs.status,
+            totalAmount: membershipTotal,
+            totalPaid: customer.collections
+              .filter(collection => collection.customerSchemeId === cs.id)
+              .reduce((sum, collection) => sum + collection.amountPaid, 0),
+            remainingBalance: cs.balance,
+            progressPercentage: membershipTotal > 0 ? Math.round(((membershipTotal - cs.balance) / membershipTotal) * 100) : 0
+          };
+        }),
         performance: {
           totalPaid,
           remainingBalance,
@@ -294,6 +356,31 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
       return sortOrder === 'asc' ? aValue - bValue : bValue - aValue;
     });
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Customer Performance Report',
+        filename: 'customer-performance',
+        columns: [
+          { key: 'name', label: 'Customer', type: 'text', width: 2 },
+          { key: 'mobile', label: 'Mobile', type: 'text', width: 1.5 },
+          { key: 'status', label: 'Status', type: 'text' },
+          { key: 'totalAmount', label: 'Total amount', type: 'amount' },
+          { key: 'totalPaid', label: 'Paid', type: 'amount' },
+          { key: 'remainingBalance', label: 'Balance', type: 'amount' },
+          { key: 'progressPercentage', label: 'Progress', type: 'percent' },
+          { key: 'consistencyPercentage', label: 'Consistency', type: 'percent' },
+          { key: 'totalCollections', label: 'Collections', type: 'number' },
+          { key: 'lastPaymentDate', label: 'Last payment', type: 'date' }
+        ],
+        rows: performanceData.map(({ customer, performance }) => ({
+          name: customer.name,
+          mobile: customer.mobile,
+          status: customer.status,
+          ...performance
+        }))
+      });
+    }
+
     res.json({
       success: true,
       data: { performanceData }
@@ -309,7 +396,7 @@ router.get('/customers/performance', authenticateToken, async (req, res) => {
 });
 
 // Get scheme performance report
-router.get('/schemes/performance', authenticateToken, async (req, res) => {
+router.get('/schemes/performance', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { status } = req.query;
 
@@ -321,16 +408,14 @@ router.get('/schemes/performance', authenticateToken, async (req, res) => {
       where,
       include: {
         customerSchemes: {
-          include: {
-            customer: {
-              select: {
-                id: true,
-                status: true,
-                balance: true,
-                amountPerDay: true,
-                startDate: true
-              }
-            }
+          select: {
+            id: true,
+            customerId: true,
+            status: true,
+            balance: true,
+            amountPerDay: true,
+            duration: true,
+            startDate: true
           }
         },
         auctions: {
@@ -353,13 +438,13 @@ router.get('/schemes/performance', authenticateToken, async (req, res) => {
 
     // Calculate performance metrics
     const performanceData = schemes.map(scheme => {
-      const customers = scheme.customerSchemes.map(cs => cs.customer);
-      const activeCustomers = customers.filter(c => c.status === 'ACTIVE').length;
-      const completedCustomers = customers.filter(c => c.status === 'COMPLETED').length;
-      const defaultedCustomers = customers.filter(c => c.status === 'DEFAULTED').length;
+      const memberships = scheme.customerSchemes;
+      const activeCustomers = memberships.filter(cs => cs.status === 'ACTIVE').length;
+      const completedCustomers = memberships.filter(cs => cs.status === 'COMPLETED').length;
+      const defaultedCustomers = memberships.filter(cs => cs.status === 'DEFAULTED').length;
       
-      const totalBalance = customers.reduce((sum, c) => sum + c.balance, 0);
-      const totalExpected = customers.reduce((sum, c) => sum + (c.amountPerDay * scheme.duration), 0);
+      const totalBalance = memberships.reduce((sum, cs) => sum + cs.balance, 0);
+      const totalExpected = memberships.reduce((sum, cs) => sum + (cs.amountPerDay * cs.duration), 0);
       const totalCollected = totalExpected - totalBalance;
       const collectionRate = totalExpected > 0 ? Math.round((totalCollected / totalExpected) * 100) : 0;
       
@@ -401,6 +486,32 @@ router.get('/schemes/performance', authenticateToken, async (req, res) => {
       };
     });
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Scheme Performance Report',
+        filename: 'scheme-performance',
+        columns: [
+          { key: 'name', label: 'Scheme', type: 'text', width: 2 },
+          { key: 'status', label: 'Status', type: 'text' },
+          { key: 'chitValue', label: 'Chit value', type: 'amount' },
+          { key: 'totalMembers', label: 'Members', type: 'number' },
+          { key: 'activeMembers', label: 'Active', type: 'number' },
+          { key: 'defaultedMembers', label: 'Defaulted', type: 'number' },
+          { key: 'totalCollected', label: 'Collected', type: 'amount' },
+          { key: 'totalBalance', label: 'Balance', type: 'amount' },
+          { key: 'collectionRate', label: 'Collection rate', type: 'percent' },
+          { key: 'completedAuctions', label: 'Auctions held', type: 'number' },
+          { key: 'totalDiscount', label: 'Total discount', type: 'amount' }
+        ],
+        rows: performanceData.map(({ scheme, performance }) => ({
+          name: scheme.name,
+          status: scheme.status,
+          chitValue: scheme.chitValue,
+          ...performance
+        }))
+      });
+    }
+
     res.json({
       success: true,
       data: { performanceData }
@@ -416,7 +527,7 @@ router.get('/schemes/performance', authenticateToken, async (req, res) => {
 });
 
 // Get collection efficiency report
-router.get('/collections/efficiency', authenticateToken, async (req, res) => {
+router.get('/collections/efficiency', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { 
       startDate, 
@@ -454,16 +565,17 @@ router.get('/collections/efficiency', authenticateToken, async (req, res) => {
         customer: {
           select: {
             id: true,
-            name: true,
-            schemes: {
-              include: {
-                scheme: {
-                  select: {
-                    id: true,
-                    name: true,
-                    dailyPayment: true
-                  }
-                }
+            name: true
+          }
+        },
+        customerScheme: {
+          select: {
+            id: true,
+            scheme: {
+              select: {
+                id: true,
+                name: true,
+                dailyPayment: true
               }
             }
           }
@@ -493,11 +605,22 @@ router.get('/collections/efficiency', authenticateToken, async (req, res) => {
           totalAmount: 0,
           paidCollections: 0,
           pendingCollections: 0,
+          reversedCollections: 0,
+          membersServed: new Set(),
           efficiency: 0
         };
       }
 
+      // A reversal and the collection it reverses cancel out; only the
+      // collector whose collection was reversed has it counted against them
+      if (collection.reversalOfId) return;
+      if (collection.reversed) {
+        collectorStats[collectorId].reversedCollections += 1;
+        return;
+      }
+
       collectorStats[collectorId].totalCollections += 1;
+      collectorStats[collectorId].membersServed.add(collection.customerSchemeId || `customer-${collection.customer.id}`);
       collectorStats[collectorId].totalAmount += collection.amountPaid;
       
       if (collection.amountPaid > 0) {
@@ -514,7 +637,32 @@ router.get('/collections/efficiency', authenticateToken, async (req, res) => {
         : 0;
     });
 
-    const efficiencyData = Object.values(collectorStats);
+    const efficiencyData = Object.values(collectorStats).map(({ membersServed, ...stats }) => ({
+      ...stats,
+      membersServed: membersServed.size
+    }));
+
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Collection Efficiency Report',
+        filename: 'collection-efficiency',
+        subtitle: periodLabel(start, end),
+        columns: [
+          { key: 'collectorName', label: 'Collector', type: 'text', width: 2 },
+          { key: 'totalCollections', label: 'Collections', type: 'number' },
+          { key: 'paidCollections', label: 'Paid', type: 'number' },
+          { key: 'pendingCollections', label: 'Pending', type: 'number' },
+          { key: 'reversedCollections', label: 'Reversed', type: 'number' },
+          { key: 'membersServed', label: 'Members served', type: 'number' },
+          { key: 'totalAmount', label: 'Amount', type: 'amount' },
+          { key: 'efficiency', label: 'Efficiency', type: 'percent' }
+        ],
+        rows: efficiencyData.map(stats => ({ ...stats, collectorName: stats.collector.name })),
+        summary: [
+          { label: 'Total collected', value: efficiencyData.reduce((sum, stats) => sum + stats.totalAmount, 0), type: 'amount' }
+        ]
+      });
+    }
 
     res.json({
       success: true,
@@ -531,7 +679,7 @@ router.get('/collections/efficiency', authenticateToken, async (req, res) => {
 });
 
 // Get daily report data
-router.get('/daily', authenticateToken, async (req, res) => {
+router.get('/daily', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { date } = req.query;
     const targetDate = date ? new Date(date) : new Date();
@@ -541,19 +689,21 @@ router.get('/daily', authenticateToken, async (req, res) => {
     // Get collections for the day
     const dailyCollections = await prisma.collection.findMany({
       where: {
+        ...standingCollection,
         date: {
           gte: startOfDay,
           lte: endOfDay
         }
       },
-      include: {
-        customer: true
+      select: {
+        customerId: true,
+        customerSchemeId: true,
+        amountPaid: true
       }
     });
 
-    const totalCollection = dailyCollections.reduce((sum, collection) => sum + (collection.amountPaid || 0), 0);
-    const paidMembers = dailyCollections.filter(c => c.amountPaid > 0).length;
-    const pendingMembers = dailyCollections.filter(c => c.amountPaid === 0).length;
+    const totalCollection = await receiptsTotal(prisma, { start: startOfDay, end: endOfDay });
+    const { paidMembers, pendingMembers } = summarizeMemberships(dailyCollections);
     
     // Get defaulters (customers with overdue payments)
     const defaulters = await prisma.customer.count({
@@ -568,6 +718,16 @@ router.get('/daily', authenticateToken, async (req, res) => {
     const totalMembers = paidMembers + pendingMembers;
     const collectionRate = totalMembers > 0 ? ((paidMembers / totalMembers) * 100).toFixed(1) : 0;
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Daily Collection Report',
+        filename: 'daily-report',
+        subtitle: formatValue(startOfDay, 'date'),
+        columns: periodSummaryColumns,
+        rows: [{ totalCollection, paidMembers, pendingMembers, defaulters, collectionRate: parseFloat(collectionRate) }]
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -630,6 +790,7 @@ router.get('/passbook-stats', authenticateToken, async (req, res) => {
 
     const todayPassbookEntries = await prisma.passbookEntry.findMany({
       where: {
+        type: 'MANUAL',
         OR: [
           {
             date: {
@@ -644,7 +805,7 @@ router.get('/passbook-stats', authenticateToken, async (req, res) => {
             }
           }
         ]
-        // Include both GENERATED and MANUAL entries
+        // GENERATED entries are the installment schedule, not payments
       },
       include: {
         customerScheme: {
@@ -735,6 +896,7 @@ router.get('/passbook-stats', authenticateToken, async (req, res) => {
             customerId: customer.id,
             customerName: customer.name,
             customerMobile: customer.mobile,
+            ticketNumber: customerScheme.ticketNumber,
             schemeId: scheme.id,
             schemeName: scheme.name,
             expectedAmount: expectedDaily,
@@ -750,6 +912,7 @@ router.get('/passbook-stats', authenticateToken, async (req, res) => {
             customerId: customer.id,
             customerName: customer.name,
             customerMobile: customer.mobile,
+            ticketNumber: customerScheme.ticketNumber,
             schemeId: scheme.id,
             schemeName: scheme.name,
             expectedAmount: expectedDaily,
@@ -761,6 +924,7 @@ router.get('/passbook-stats', authenticateToken, async (req, res) => {
             customerId: customer.id,
             customerName: customer.name,
             customerMobile: customer.mobile,
+            ticketNumber: customerScheme.ticketNumber,
             schemeId: scheme.id,
             schemeName: scheme.name,
             expectedAmount: expectedDaily,
@@ -844,7 +1008,7 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
     });
 
     // Get recent auctions
-    const recentAuctions = await prisma.auction.findMany({
+    const recentAuctions = await withWinningTickets(prisma, await prisma.auction.findMany({
       take: Math.ceil(take / 2),
       orderBy: { createdAt: 'desc' },
       include: {
@@ -863,7 +1027,7 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
           }
         }
       }
-    });
+    }));
 
     // Get recent customer registrations
     const recentCustomers = await prisma.customer.findMany({
@@ -883,6 +1047,21 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
 
     // Add collections
     recentCollections.forEach(collection => {
+      if (collection.reversalOfId) {
+        activities.push({
+          id: `collection-${collection.id}`,
+          type: 'reversal',
+          title: 'Collection Reversed',
+          description: `₹${(-collection.amountPaid).toLocaleString()} collected from ${collection.customer.name} reversed: ${collection.remarks}`,
+          customer: collection.customer,
+          amount: collection.amountPaid,
+          date: collection.createdAt,
+          icon: '↩️',
+          color: 'red'
+        });
+        return;
+      }
+
       activities.push({
         id: `collection-${collection.id}`,
         type: 'collection',
@@ -892,7 +1071,8 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
         amount: collection.amountPaid,
         date: collection.createdAt,
         icon: '💰',
-        color: 'green'
+        color: 'green',
+        reversed: collection.reversed
       });
     });
 
@@ -903,7 +1083,7 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
         type: 'auction',
         title: 'Auction Conducted',
         description: auction.winningMember 
-          ? `Auction won by ${auction.winningMember.name} for ₹${auction.amountReceived.toLocaleString()}`
+          ? `Auction won by ${auction.winningMember.name}${auction.winningTicketNumber ? ` (Ticket #${auction.winningTicketNumber})` : ''} for ₹${auction.amountReceived.toLocaleString()}`
           : `Auction scheduled for ${auction.chitScheme.name}`,
         customer: auction.winningMember,
         amount: auction.amountReceived,
@@ -947,7 +1127,7 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
 });
 
 // Get monthly report data
-router.get('/monthly', authenticateToken, async (req, res) => {
+router.get('/monthly', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { year, month } = req.query;
     const targetYear = year ? parseInt(year) : new Date().getFullYear();
@@ -959,19 +1139,21 @@ router.get('/monthly', authenticateToken, async (req, res) => {
     // Get collections for the month
     const monthlyCollections = await prisma.collection.findMany({
       where: {
+        ...standingCollection,
         date: {
           gte: startOfMonth,
           lte: endOfMonth
         }
       },
-      include: {
-        customer: true
+      select: {
+        customerId: true,
+        customerSchemeId: true,
+        amountPaid: true
       }
     });
 
-    const totalCollection = monthlyCollections.reduce((sum, collection) => sum + (collection.amountPaid || 0), 0);
-    const paidMembers = monthlyCollections.filter(c => c.amountPaid > 0).length;
-    const pendingMembers = monthlyCollections.filter(c => c.amountPaid === 0).length;
+    const totalCollection = await receiptsTotal(prisma, { start: startOfMonth, end: endOfMonth });
+    const { paidMembers, pendingMembers } = summarizeMemberships(monthlyCollections);
     
     // Get defaulters for the month
     const defaulters = await prisma.customer.count({
@@ -987,6 +1169,16 @@ router.get('/monthly', authenticateToken, async (req, res) => {
     const totalMembers = paidMembers + pendingMembers;
     const collectionRate = totalMembers > 0 ? ((paidMembers / totalMembers) * 100).toFixed(1) : 0;
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Monthly Collection Report',
+        filename: 'monthly-report',
+        subtitle: startOfMonth.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' }),
+        columns: periodSummaryColumns,
+        rows: [{ totalCollection, paidMembers, pendingMembers, defaulters, collectionRate: parseFloat(collectionRate) }]
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -1008,7 +1200,7 @@ router.get('/monthly', authenticateToken, async (req, res) => {
 });
 
 // Get yearly report data
-router.get('/yearly', authenticateToken, async (req, res) => {
+router.get('/yearly', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { year } = req.query;
     const targetYear = year ? parseInt(year) : new Date().getFullYear();
@@ -1019,19 +1211,21 @@ router.get('/yearly', authenticateToken, async (req, res) => {
     // Get collections for the year
     const yearlyCollections = await prisma.collection.findMany({
       where: {
+        ...standingCollection,
         date: {
           gte: startOfYear,
           lte: endOfYear
         }
       },
-      include: {
-        customer: true
+      select: {
+        customerId: true,
+        customerSchemeId: true,
+        amountPaid: true
       }
     });
 
-    const totalCollection = yearlyCollections.reduce((sum, collection) => sum + (collection.amountPaid || 0), 0);
-    const paidMembers = yearlyCollections.filter(c => c.amountPaid > 0).length;
-    const pendingMembers = yearlyCollections.filter(c => c.amountPaid === 0).length;
+    const totalCollection = await receiptsTotal(prisma, { start: startOfYear, end: endOfYear });
+    const { paidMembers, pendingMembers } = summarizeMemberships(yearlyCollections);
     
     // Get defaulters for the year
     const defaulters = await prisma.customer.count({
@@ -1047,6 +1241,16 @@ router.get('/yearly', authenticateToken, async (req, res) => {
     const totalMembers = paidMembers + pendingMembers;
     const collectionRate = totalMembers > 0 ? ((paidMembers / totalMembers) * 100).toFixed(1) : 0;
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Yearly Collection Report',
+        filename: 'yearly-report',
+        subtitle: String(targetYear),
+        columns: periodSummaryColumns,
+        rows: [{ totalCollection, paidMembers, pendingMembers, defaulters, collectionRate: parseFloat(collectionRate) }]
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -1068,7 +1272,7 @@ router.get('/yearly', authenticateToken, async (req, res) => {
 });
 
 // Get top customers report
-router.get('/top-customers', authenticateToken, async (req, res) => {
+router.get('/top-customers', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
@@ -1077,8 +1281,12 @@ router.get('/top-customers', authenticateToken, async (req, res) => {
         id: true,
         name: true,
         status: true,
-        amountPerDay: true,
-        duration: true,
+        schemes: {
+          select: {
+            amountPerDay: true,
+            duration: true
+          }
+        },
         _count: {
           select: {
             collections: true
@@ -1101,7 +1309,7 @@ router.get('/top-customers', authenticateToken, async (req, res) => {
           _sum: { amountPaid: true }
         });
 
-        const totalAmount = (customer.amountPerDay || 0) * (customer.duration || 0);
+        const totalAmount = customer.schemes.reduce((sum, cs) => sum + (cs.amountPerDay || 0) * (cs.duration || 0), 0);
         const balance = totalAmount - (totalPaid._sum.amountPaid || 0);
 
         return {
@@ -1114,6 +1322,20 @@ router.get('/top-customers', authenticateToken, async (req, res) => {
       })
     );
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Top Customers',
+        filename: 'top-customers',
+        columns: [
+          { key: 'name', label: 'Customer', type: 'text', width: 2 },
+          { key: 'status', label: 'Status', type: 'text' },
+          { key: 'totalPaid', label: 'Paid', type: 'amount' },
+          { key: 'balance', label: 'Balance', type: 'amount' }
+        ],
+        rows: customersWithStats
+      });
+    }
+
     res.json({
       success: true,
       data: customersWithStats
@@ -1129,7 +1351,7 @@ router.get('/top-customers', authenticateToken, async (req, res) => {
 });
 
 // Get scheme performance report
-router.get('/scheme-performance', authenticateToken, async (req, res) => {
+router.get('/scheme-performance', authenticateToken, reportValidations.export, handleValidationErrors, async (req, res) => {
   try {
     const schemes = await prisma.chitScheme.findMany({
       select: {
@@ -1149,15 +1371,11 @@ router.get('/scheme-performance', authenticateToken, async (req, res) => {
 
     const schemePerformance = await Promise.all(
       schemes.map(async (scheme) => {
-        // Get total collections for this scheme through CustomerScheme
+        // Get total collections recorded against this scheme's memberships
         const totalCollections = await prisma.collection.aggregate({
           where: {
-            customer: {
-              schemes: {
-                some: {
-                  schemeId: scheme.id
-                }
-              }
+            customerScheme: {
+              schemeId: scheme.id
             }
           },
           _sum: { amountPaid: true }
@@ -1178,6 +1396,21 @@ router.get('/scheme-performance', authenticateToken, async (req, res) => {
       })
     );
 
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Scheme Collection Performance',
+        filename: 'scheme-collection-performance',
+        columns: [
+          { key: 'scheme', label: 'Scheme', type: 'text', width: 2 },
+          { key: 'members', label: 'Members', type: 'number' },
+          { key: 'enrolled', label: 'Enrolled', type: 'number' },
+          { key: 'collection', label: 'Collection', type: 'percent' },
+          { key: 'status', label: 'Status', type: 'text' }
+        ],
+        rows: schemePerformance
+      });
+    }
+
     res.json({
       success: true,
       data: schemePerformance
@@ -1192,4 +1425,271 @@ router.get('/scheme-performance', authenticateToken, async (req, res) => {
   }
 });
 
+// Get trial balance: opening balance, movements in the period and closing balance of every ledger account
+router.get('/trial-balance', authenticateToken, requireAgentOrAdmin, reportValidations.export, handleValidationErrors, async (req, res) => {
+  try {
+    const { start, end, error } = ledgerPeriod(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [opening, movements] = await Promise.all([
+      start ? accountBalances(prisma, { end: new Date(start.getTime() - 1) }) : null,
+      accountBalances(prisma, { start, end })
+    ]);
+
+    const accounts = movements.map((movement, index) => {
+      const openingNet = opening ? opening[index].debit - opening[index].credit : 0;
+      const closingNet = openingNet + movement.debit - movement.credit;
+
+      return {
+        account: movement.account,
+        code: movement.code,
+        name: movement.name,
+        type: movement.type,
+        openingDebit: Math.max(openingNet, 0),
+        openingCredit: Math.max(-openingNet, 0),
+        periodDebit: movement.debit,
+        periodCredit: movement.credit,
+        closingDebit: Math.max(closingNet, 0),
+        closingCredit: Math.max(-closingNet, 0)
+      };
+    });
+
+    const totals = {
+      periodDebit: accounts.reduce((sum, account) => sum + account.periodDebit, 0),
+      periodCredit: accounts.reduce((sum, account) => sum + account.periodCredit, 0),
+      closingDebit: accounts.reduce((sum, account) => sum + account.closingDebit, 0),
+      closingCredit: accounts.reduce((sum, account) => sum + account.closingCredit, 0)
+    };
+
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Trial Balance',
+        filename: 'trial-balance',
+        subtitle: periodLabel(start, end),
+        columns: [
+          { key: 'code', label: 'Code', type: 'text', width: 0.6 },
+          { key: 'name', label: 'Account', type: 'text', width: 2.4 },
+          { key: 'openingDebit', label: 'Opening Dr', type: 'amount' },
+          { key: 'openingCredit', label: 'Opening Cr', type: 'amount' },
+          { key: 'periodDebit', label: 'Period Dr', type: 'amount' },
+          { key: 'periodCredit', label: 'Period Cr', type: 'amount' },
+          { key: 'closingDebit', label: 'Closing Dr', type: 'amount' },
+          { key: 'closingCredit', label: 'Closing Cr', type: 'amount' }
+        ],
+        rows: accounts,
+        summary: [
+          { label: 'Total closing debits', value: totals.closingDebit, type: 'amount' },
+          { label: 'Total closing credits', value: totals.closingCredit, type: 'amount' }
+        ]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: start, endDate: end },
+        accounts,
+        totals,
+        balanced: totals.periodDebit === totals.periodCredit && totals.closingDebit === totals.closingCredit
+      }
+    });
+  } catch (error) {
+    console.error('Trial balance report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate trial balance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get profit and loss for a period. Subscriptions, dividends and payouts belong
+// to the members, so they are reported alongside but never counted as income.
+router.get('/profit-loss', authenticateToken, requireAgentOrAdmin, reportValidations.export, handleValidationErrors, async (req, res) => {
+  try {
+    const { start, end, error } = ledgerPeriod(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [balances, subscriptionsReceived] = await Promise.all([
+      accountBalances(prisma, { start, end }),
+      receiptsTotal(prisma, { start, end })
+    ]);
+    const account = (key) => balances.find(row => row.account === key);
+
+    const commission = account('COMMISSION_INCOME');
+    const penalty = account('PENALTY_INCOME');
+
+    const income = {
+      commissionIncome: commission.balance,
+      penaltyIncome: {
+        charged: penalty.credit,
+        waived: penalty.debit,
+        net: penalty.balance
+      }
+    };
+    const totalIncome = commission.balance + penalty.balance;
+    const expenses = balances.filter(row => row.type === 'EXPENSE');
+    const totalExpenses = expenses.reduce((sum, row) => sum + row.balance, 0);
+
+    const netProfit = totalIncome - totalExpenses;
+    const memberFunds = {
+      subscriptionsReceived,
+      prizeMoneyDue: account('PRIZE_PAYABLE').credit,
+      payoutsReleased: account('PRIZE_PAYABLE').debit,
+      dividendsCredited: account('DIVIDENDS_CREDITED').balance
+    };
+
+    if (req.query.format) {
+      return sendReport(res, req.query.format, {
+        title: 'Profit and Loss Statement',
+        filename: 'profit-and-loss',
+        subtitle: periodLabel(start, end),
+        columns: [
+          { key: 'particulars', label: 'Particulars', type: 'text', width: 3 },
+          { key: 'amount', label: 'Amount', type: 'amount' }
+        ],
+        rows: [
+          { particulars: 'Foreman commission', amount: income.commissionIncome },
+          { particulars: 'Penalties charged', amount: income.penaltyIncome.charged },
+          { particulars: 'Less: penalties waived', amount: -income.penaltyIncome.waived },
+          { particulars: 'Total income', amount: totalIncome },
+          ...expenses.map(row => ({ particulars: row.name, amount: row.balance })),
+          { particulars: 'Total expenses', amount: totalExpenses },
+          { particulars: 'Member funds (not income)' },
+          { particulars: 'Subscriptions received', amount: memberFunds.subscriptionsReceived },
+          { particulars: 'Prize money due to winners', amount: memberFunds.prizeMoneyDue },
+          { particulars: 'Payouts released', amount: memberFunds.payoutsReleased },
+          { particulars: 'Dividends credited', amount: memberFunds.dividendsCredited }
+        ],
+        summary: [
+          { label: 'Net profit', value: netProfit, type: 'amount' }
+        ]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: start, endDate: end },
+        income,
+        totalIncome,
+        expenses,
+        totalExpenses,
+        netProfit,
+        memberFunds
+      }
+    });
+  } catch (error) {
+    console.error('Profit and loss report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate profit and loss report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get balance sheet as at the end date. Profit earned before the start date
+// is carried as retained earnings, profit within the period shown separately.
+router.get('/balance-sheet', authenticateToken, requireAgentOrAdmin, reportValidations.export, handleValidationErrors, async (req, res) => {
+  try {
+    const { start, end, error } = ledgerPeriod(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [closing, earlier] = await Promise.all([
+      accountBalances(prisma, { end }),
+      start ? accountBalances(prisma, { end: new Date(start.getTime() - 1) }) : null
+    ]);
+
+    const section = (type) => {
+      const accounts = closing
+        .filter(row => row.type === type)
+        .map(({ account, code, name, balance }) => ({ account, code, name, balance }));
+      return {
+        accounts,
+        total: accounts.reduce((sum, row) => sum + row.balance, 0)
+      };
+    };
+    const profit = (balances) => (balances || [])
+      .reduce((sum, row) => {
+        if (row.type === 'INCOME') return sum + row.balance;
+        if (row.type === 'EXPENSE') return sum - row.balance;
+        return sum;
+      }, 0);
+
+    const assets = section('ASSET');
+    const liabilities = section('LIABILITY');
+    const retainedEarnings = profit(earlier);
+    const periodProfit = profit(closing) - retainedEarnings;
+    const totalEquity = retainedEarnings + periodProfit;
+
+    if (req.query.format) {
+      const accountRows = (group) => group.accounts.map(row => ({ particulars: `  ${row.name}`, amount: row.balance }));
+      return sendReport(res, req.query.format, {
+        title: 'Balance Sheet',
+        filename: 'balance-sheet',
+        subtitle: `As at ${formatValue(end, 'date')}`,
+        columns: [
+          { key: 'particulars', label: 'Particulars', type: 'text', width: 3 },
+          { key: 'amount', label: 'Amount', type: 'amount' }
+        ],
+        rows: [
+          { particulars: 'Assets' },
+          ...accountRows(assets),
+          { particulars: 'Total assets', amount: assets.total },
+          { particulars: 'Liabilities' },
+          ...accountRows(liabilities),
+          { particulars: 'Total liabilities', amount: liabilities.total },
+          { particulars: 'Equity' },
+          { particulars: '  Retained earnings', amount: retainedEarnings },
+          { particulars: '  Profit for the period', amount: periodProfit },
+          { particulars: 'Total equity', amount: totalEquity }
+        ],
+        summary: [
+          { label: 'Total liabilities and equity', value: liabilities.total + totalEquity, type: 'amount' }
+        ]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        asAt: end,
+        period: { startDate: start, endDate: end },
+        assets,
+        liabilities,
+        equity: {
+          retainedEarnings,
+          periodProfit,
+          total: totalEquity
+        },
+        totalLiabilitiesAndEquity: liabilities.total + totalEquity,
+        balanced: assets.total === liabilities.total + totalEquity
+      }
+    });
+  } catch (error) {
+    console.error('Balance sheet report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate balance sheet',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,576 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { userValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { listSessions, revokeUserSessions } = require('../services/sessions');
+const { unlockAccount } = require('../services/lockouts');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  twoFactorEnabled: true,
+  failedLoginAttempts: true,
+  lockedUntil: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Keep at least one active admin, so staff accounts can still be managed
+const assertOtherActiveAdmin = async (user) => {
+  if (user.role !== 'ADMIN' || !user.isActive) {
+    return;
+  }
+
+  const otherAdmins = await prisma.user.count({
+    where: {
+      role: 'ADMIN',
+      isActive: true,
+      id: { not: user.id }
+    }
+  });
+
+  if (otherAdmins === 0) {
+    throw new ApiError(400, 'At least one active admin is required');
+  }
+};
+
+// Get staff accounts with pagination and filtering (Admin only)
+router.get('/', authenticateToken, requireAdmin, commonValidations.pagination, handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      isActive
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const [totalCount, users] = await Promise.all([
+      prisma.user.count({ where }),
+      prisma.user.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { name: 'asc' },
+        select: userSelect
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get account lockouts, newest first (Admin only). `active=true` keeps only
+// lockouts still in force.
+router.get('/lockouts', authenticateToken, requireAdmin, commonValidations.pagination, handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      userId,
+      active
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (userId) where.userId = userId;
+    if (active === 'true') {
+      where.unlockedAt = null;
+      where.lockedUntil = { gt: new Date() };
+    }
+
+    const [totalCount, lockouts] = await Promise.all([
+      prisma.accountLockout.count({ where }),
+      prisma.accountLockout.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { lockedAt: 'desc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          },
+          unlockedBy: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lockouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a staff account (Admin only)
+router.get('/:id', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: userSelect
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a staff account (Admin only)
+router.post('/', authenticateToken, requireAdmin, userValidations.create, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: await bcrypt.hash(password, 12),
+        name,
+        role
+      },
+      select: userSelect
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Change a staff account's role (Admin only)
+router.put('/:id/role', authenticateToken, requireAdmin, commonValidations.id, userValidations.role, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== 'ADMIN') {
+      await assertOtherActiveAdmin(existingUser);
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { role },
+      select: userSelect
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Deactivate a staff account (Admin only); the user can no longer sign in
+router.post('/:id/deactivate', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!existingUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated'
+      });
+    }
+
+    await assertOtherActiveAdmin(existingUser);
+
+    const user = await prisma.$transaction(async (tx) => {
+      await revokeUserSessions(tx, id, 'Account deactivated');
+      return tx.user.update({
+        where: { id },
+        data: { isActive: false },
+        select: userSelect
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reactivate a staff account (Admin only)
+router.post('/:id/reactivate', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (existingUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { isActive: true },
+      select: userSelect
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Unlock an account locked after failed sign-ins (Admin only)
+router.post('/:id/unlock', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(prisma, id, req.user.id);
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: userSelect
+    });
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a staff account's signed-in sessions (Admin only)
+router.get('/:id/sessions', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, async (req, res) => {
+  try {
+    const sessions = await listSessions(prisma, req.params.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign a staff account out everywhere (Admin only)
+router.delete('/:id/sessions', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { count } = await revokeUserSessions(prisma, id, 'Signed out by admin');
+
+    res.json({
+      success: true,
+      message: `${count} session(s) signed out`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set a new password for a staff account (Admin only)
+router.post('/:id/reset-password', authenticateToken, requireAdmin, commonValidations.id, userValidations.resetPassword, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const password = await bcrypt.hash(req.body.newPassword, 12);
+
+    // Whoever was signed in with the old password is signed out
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id },
+        data: { password }
+      });
+      await revokeUserSessions(tx, id, 'Password reset by admin');
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset user password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn off two-factor for a staff account that lost its authenticator and
+// backup codes (Admin only). The user is signed out and sets it up again
+// at the next sign-in if their role requires it.
+router.post('/:id/2fa/reset', authenticateToken, requireAdmin, commonValidations.id, handleValidationErrors, auditTrail('User'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await disableTwoFactor(tx, id);
+      await revokeUserSessions(tx, id, 'Two-factor reset by admin');
+      return tx.user.findUnique({
+        where: { id },
+        select: userSelect
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
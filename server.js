@@ -15,6 +15,13 @@ const collectionRoutes = require('./routes/collections');
 const auctionRoutes = require('./routes/auctions');
 const passbookRoutes = require('./routes/passbook');
 const reportRoutes = require('./routes/reports');
+const payoutRoutes = require('./routes/payouts');
+const holidayRoutes = require('./routes/holidays');
+const penaltyRoutes = require('./routes/penalties');
+const receiptRoutes = require('./routes/receipts');
+const auditRoutes = require('./routes/audit');
+const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
 
 const app = express();
 
@@ -251,6 +258,13 @@ app.use('/api/collections', collectionRoutes);
 app.use('/api/auctions', auctionRoutes);
 app.use('/api/passbook', passbookRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/penalties', penaltyRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,105 @@
+const { installmentDate, schemeEndDate } = require('./schedule');
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const loadHolidays = async (tx, from) => {
+  const holidays = await tx.holiday.findMany({
+    where: { date: { gte: new Date(dateKey(from)) } },
+    select: { date: true }
+  });
+  return new Set(holidays.map(holiday => dateKey(holiday.date)));
+};
+
+// Move a date forward past any holidays
+const nextWorkingDay = (date, holidays) => {
+  const day = new Date(date);
+  while (holidays.has(dateKey(day))) {
+    day.setDate(day.getDate() + 1);
+  }
+  return day;
+};
+
+// Date of the n-th auction counted from `anchor` at the scheme's interval
+const calendarDate = (anchor, scheme, index) => {
+  const step = index * scheme.auctionInterval;
+  return scheme.auctionIntervalUnit === 'MONTHS'
+    ? installmentDate(anchor, 'MONTHLY', step)
+    : installmentDate(anchor, 'DAILY', step);
+};
+
+// One auction per interval from the start date until the scheme ends, and no
+// more auctions than there are members to win them
+const calendarDates = (scheme, holidays) => {
+  const endDate = schemeEndDate(scheme);
+  const dates = [];
+
+  for (let index = 0; dates.length < scheme.numberOfMembers; index++) {
+    const date = calendarDate(scheme.startDate, scheme, index);
+    if (date >= endDate) break;
+    dates.push(nextWorkingDay(date, holidays));
+  }
+
+  return dates;
+};
+
+// Create the SCHEDULED auctions for a scheme's whole lifetime
+const generateAuctionCalendar = async (tx, scheme, createdById) => {
+  const holidays = await loadHolidays(tx, scheme.startDate);
+  const dates = calendarDates(scheme, holidays);
+
+  await tx.auction.createMany({
+    data: dates.map(auctionDate => ({
+      chitSchemeId: scheme.id,
+      auctionDate,
+      status: 'SCHEDULED',
+      createdById
+    }))
+  });
+
+  return dates.length;
+};
+
+// Re-date the scheduled auctions that came after `after` so they keep the
+// scheme's interval from the given auction's (new) date. When the auction was
+// cancelled its turn still has to be held, so a replacement is added at the end.
+const shiftCalendar = async (tx, scheme, auction, { after, replace = false, createdById }) => {
+  const remaining = await tx.auction.findMany({
+    where: {
+      chitSchemeId: scheme.id,
+      status: 'SCHEDULED',
+      auctionDate: { gt: after },
+      id: { not: auction.id }
+    },
+    orderBy: { auctionDate: 'asc' }
+  });
+  const holidays = await loadHolidays(tx, auction.auctionDate);
+
+  for (const [index, next] of remaining.entries()) {
+    await tx.auction.update({
+      where: { id: next.id },
+      data: {
+        auctionDate: nextWorkingDay(calendarDate(auction.auctionDate, scheme, index + 1), holidays)
+      }
+    });
+  }
+
+  if (replace) {
+    await tx.auction.create({
+      data: {
+        chitSchemeId: scheme.id,
+        auctionDate: nextWorkingDay(calendarDate(auction.auctionDate, scheme, remaining.length + 1), holidays),
+        status: 'SCHEDULED',
+        remarks: 'Replaces a cancelled auction',
+        createdById
+      }
+    });
+  }
+
+  return remaining.length;
+};
+
+module.exports = {
+  calendarDates,
+  generateAuctionCalendar,
+  shiftCalendar
+};
@@ -0,0 +1,265 @@
+const { ApiError } = require('../utils/errors');
+const { distributeDividends } = require('./dividends');
+const { isPrized, syncPrizedMember } = require('./eligibility');
+const { openPayout } = require('./payouts');
+
+// Server-sent event subscribers per auction. Rooms live in this process only,
+// so every agent watching an auction must be connected to the same instance.
+const rooms = new Map();
+
+const bidInclude = {
+  customerScheme: {
+    select: {
+      id: true,
+      ticketNumber: true,
+      customer: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  },
+  placedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+const subscribe = (auctionId, res) => {
+  if (!rooms.has(auctionId)) {
+    rooms.set(auctionId, new Set());
+  }
+  rooms.get(auctionId).add(res);
+};
+
+const unsubscribe = (auctionId, res) => {
+  const room = rooms.get(auctionId);
+  if (!room) return;
+
+  room.delete(res);
+  if (room.size === 0) {
+    rooms.delete(auctionId);
+  }
+};
+
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (auctionId, event, data) => {
+  const room = rooms.get(auctionId);
+  if (!room) return;
+
+  room.forEach(res => send(res, event, data));
+};
+
+// Current state of the room, sent to each client when it connects
+const roomSnapshot = async (prisma, auctionId) => {
+  const auction = await prisma.auction.findUnique({
+    where: { id: auctionId },
+    select: {
+      id: true,
+      status: true,
+      openedAt: true,
+      closedAt: true,
+      chitScheme: {
+        select: {
+          id: true,
+          name: true,
+          chitValue: true,
+          minBidAmount: true,
+          maxBidAmount: true,
+          bidIncrement: true
+        }
+      },
+      bids: {
+        include: bidInclude,
+        orderBy: { createdAt: 'desc' }
+      }
+    }
+  });
+
+  if (!auction) {
+    return null;
+  }
+
+  const { bids, ...room } = auction;
+  return {
+    auction: room,
+    highestBid: bids.reduce((highest, bid) => (!highest || bid.discountAmount > highest.discountAmount ? bid : highest), null),
+    bids
+  };
+};
+
+// Lock the auction row so concurrent bids and closing are checked one at a time
+const lockAuction = async (tx, auctionId) => {
+  await tx.$queryRaw`SELECT "id" FROM "auctions" WHERE "id" = ${auctionId} FOR UPDATE`;
+
+  const auction = await tx.auction.findUnique({
+    where: { id: auctionId },
+    include: { chitScheme: true }
+  });
+
+  if (!auction) {
+    throw new ApiError(404, 'Auction not found');
+  }
+  return auction;
+};
+
+// Discounts a scheme allows: from minBidAmount up to maxBidAmount (or just
+// under the chit value)
+const discountLimits = (chitScheme) => ({
+  minimumBid: chitScheme.minBidAmount || 0,
+  maximumBid: chitScheme.maxBidAmount ?? chitScheme.chitValue - 1
+});
+
+// Bidding limits for the next bid: discounts go up by at least the scheme's
+// increment, within the scheme's discount limits
+const bidLimits = (chitScheme, highestBid) => {
+  const increment = chitScheme.bidIncrement || 1;
+  const limits = discountLimits(chitScheme);
+  const minimumBid = highestBid
+    ? highestBid.discountAmount + increment
+    : Math.max(limits.minimumBid, increment);
+
+  return { minimumBid, maximumBid: limits.maximumBid };
+};
+
+const openRoom = async (prisma, auctionId) => {
+  return prisma.$transaction(async (tx) => {
+    const auction = await lockAuction(tx, auctionId);
+
+    if (auction.status !== 'SCHEDULED') {
+      throw new ApiError(400, 'Only scheduled auctions can be opened for bidding');
+    }
+
+    return tx.auction.update({
+      where: { id: auctionId },
+      data: {
+        status: 'LIVE',
+        openedAt: new Date(),
+        closedAt: null
+      }
+    });
+  });
+};
+
+const placeBid = async (prisma, auctionId, { customerId, discountAmount, placedById }) => {
+  return prisma.$transaction(async (tx) => {
+    const auction = await lockAuction(tx, auctionId);
+
+    if (auction.status !== 'LIVE') {
+      throw new ApiError(400, 'Auction room is not open for bidding');
+    }
+
+    const customerScheme = await tx.customerScheme.findUnique({
+      where: {
+        customerId_schemeId: {
+          customerId,
+          schemeId: auction.chitSchemeId
+        }
+      }
+    });
+
+    if (!customerScheme) {
+      throw new ApiError(400, 'Member does not belong to this chit scheme');
+    }
+
+    if (customerScheme.status !== 'ACTIVE') {
+      throw new ApiError(400, 'Member is not active in this chit scheme');
+    }
+
+    if (isPrized(customerScheme)) {
+      throw new ApiError(400, 'Member has already won an auction in this chit scheme');
+    }
+
+    const highestBid = await tx.bid.findFirst({
+      where: { auctionId },
+      orderBy: { discountAmount: 'desc' }
+    });
+
+    if (highestBid && highestBid.customerSchemeId === customerScheme.id) {
+      throw new ApiError(400, 'Member already holds the highest bid');
+    }
+
+    const { minimumBid, maximumBid } = bidLimits(auction.chitScheme, highestBid);
+
+    if (discountAmount < minimumBid) {
+      throw new ApiError(400, `Bid must be at least ₹${minimumBid}`, { minimumBid, maximumBid });
+    }
+
+    if (discountAmount > maximumBid) {
+      throw new ApiError(400, `Bid cannot exceed ₹${maximumBid}`, { minimumBid, maximumBid });
+    }
+
+    return tx.bid.create({
+      data: {
+        auctionId,
+        customerSchemeId: customerScheme.id,
+        discountAmount,
+        placedById
+      },
+      include: bidInclude
+    });
+  });
+};
+
+// Close the room and write the highest bid back to the auction. With no bids
+// the auction goes back to SCHEDULED so it can be reopened or decided another way.
+const closeRoom = async (prisma, auctionId) => {
+  return prisma.$transaction(async (tx) => {
+    const auction = await lockAuction(tx, auctionId);
+
+    if (auction.status !== 'LIVE') {
+      throw new ApiError(400, 'Auction room is not open');
+    }
+
+    const winningBid = await tx.bid.findFirst({
+      where: { auctionId },
+      orderBy: { discountAmount: 'desc' },
+      include: bidInclude
+    });
+
+    if (!winningBid) {
+      const updated = await tx.auction.update({
+        where: { id: auctionId },
+        data: {
+          status: 'SCHEDULED',
+          closedAt: new Date()
+        }
+      });
+      return { auction: updated, winningBid: null };
+    }
+
+    const completed = await tx.auction.update({
+      where: { id: auctionId },
+      data: {
+        status: 'COMPLETED',
+        closedAt: new Date(),
+        winningMemberId: winningBid.customerScheme.customer.id,
+        discountAmount: winningBid.discountAmount,
+        amountReceived: auction.chitScheme.chitValue - winningBid.discountAmount
+      }
+    });
+    await syncPrizedMember(tx, completed);
+    const updated = await distributeDividends(tx, auctionId);
+    await openPayout(tx, auctionId);
+
+    return { auction: updated, winningBid };
+  }, { timeout: 20000 });
+};
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  send,
+  broadcast,
+  roomSnapshot,
+  discountLimits,
+  openRoom,
+  placeBid,
+  closeRoom
+};
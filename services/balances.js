@@ -0,0 +1,42 @@
+const { ApiError } = require('../utils/errors');
+
+// Apply a payment to a membership balance and return the new balance.
+// Uses an atomic decrement so concurrent payments cannot overwrite each other;
+// pass a negative amount to restore balance when a payment is removed or reduced.
+const applyPayment = async (tx, customerSchemeId, amount) => {
+  const customerScheme = await tx.customerScheme.update({
+    where: { id: customerSchemeId },
+    data: {
+      balance: {
+        decrement: amount
+      }
+    },
+    select: { id: true, balance: true }
+  });
+
+  if (customerScheme.balance < 0) {
+    throw new ApiError(400, 'Amount paid exceeds the remaining balance', {
+      remainingBalance: customerScheme.balance + amount
+    });
+  }
+
+  return customerScheme.balance;
+};
+
+// Reject a client-supplied balance that disagrees with the one computed on the server
+const assertClientBalance = (clientBalance, serverBalance) => {
+  if (clientBalance === undefined || clientBalance === null || clientBalance === '') {
+    return;
+  }
+
+  if (Number(clientBalance) !== serverBalance) {
+    throw new ApiError(400, 'Balance remaining does not match the computed balance', {
+      expectedBalance: serverBalance
+    });
+  }
+};
+
+module.exports = {
+  applyPayment,
+  assertClientBalance
+};
@@ -0,0 +1,129 @@
+const { postAuctionResult } = require('./ledger');
+
+// Foreman commission when a scheme has no rate of its own (same default the reports use)
+const DEFAULT_COMMISSION_RATE = 0.05;
+
+// Split an auction's discount: the foreman keeps the commission on the chit
+// value and the rest is shared equally among the active non-winning members.
+// Rupees left over from the equal split stay with the company.
+const calculateDividends = (chitScheme, auction, customerSchemes) => {
+  const commissionRate = chitScheme.commissionRate ?? DEFAULT_COMMISSION_RATE;
+  const commissionAmount = Math.min(auction.discountAmount, Math.round(chitScheme.chitValue * commissionRate));
+  const dividendPool = auction.discountAmount - commissionAmount;
+
+  const beneficiaries = customerSchemes.filter(cs =>
+    cs.status === 'ACTIVE' && cs.customerId !== auction.winningMemberId
+  );
+  const perMember = beneficiaries.length > 0 ? Math.floor(dividendPool / beneficiaries.length) : 0;
+
+  return {
+    commissionAmount,
+    dividendPool,
+    perMember,
+    beneficiaries
+  };
+};
+
+// Take a dividend off the member's upcoming installments, starting with the
+// next one and carrying any excess forward. The reduction is kept on the row
+// so a rebuilt schedule can apply it again. Returns the amount applied.
+const applyToSchedule = async (tx, customerSchemeId, after, amount) => {
+  const installments = await tx.passbookEntry.findMany({
+    where: {
+      customerSchemeId,
+      type: 'GENERATED',
+      date: { gt: after },
+      dailyPayment: { gt: 0 }
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  let remaining = amount;
+  for (const installment of installments) {
+    if (remaining === 0) break;
+
+    const reduction = Math.min(remaining, installment.dailyPayment);
+    await tx.passbookEntry.update({
+      where: { id: installment.id },
+      data: {
+        dailyPayment: installment.dailyPayment - reduction,
+        dividendCredit: {
+          increment: reduction
+        }
+      }
+    });
+    remaining -= reduction;
+  }
+
+  return amount - remaining;
+};
+
+// Compute and store the dividends of a completed auction, reducing each
+// beneficiary's next installments and balance. Safe to call more than once.
+const distributeDividends = async (tx, auctionId) => {
+  const auction = await tx.auction.findUnique({
+    where: { id: auctionId },
+    include: {
+      chitScheme: true,
+      _count: {
+        select: {
+          dividends: true
+        }
+      }
+    }
+  });
+
+  if (auction._count.dividends > 0 || auction.dividendAmount !== null) {
+    return auction;
+  }
+
+  const customerSchemes = await tx.customerScheme.findMany({
+    where: { schemeId: auction.chitSchemeId }
+  });
+  const { commissionAmount, perMember, beneficiaries } = calculateDividends(auction.chitScheme, auction, customerSchemes);
+
+  if (perMember > 0) {
+    await tx.dividend.createMany({
+      data: beneficiaries.map(cs => ({
+        auctionId,
+        customerSchemeId: cs.id,
+        amount: perMember
+      }))
+    });
+
+    for (const customerScheme of beneficiaries) {
+      const applied = await applyToSchedule(tx, customerScheme.id, auction.auctionDate, perMember);
+      if (applied > 0) {
+        await tx.customerScheme.update({
+          where: { id: customerScheme.id },
+          data: {
+            balance: {
+              decrement: applied
+            }
+          }
+        });
+      }
+    }
+  }
+
+  const updated = await tx.auction.update({
+    where: { id: auctionId },
+    data: {
+      commissionAmount,
+      dividendAmount: perMember * beneficiaries.length
+    }
+  });
+
+  await postAuctionResult(tx, updated, {
+    chitValue: auction.chitScheme.chitValue,
+    dividendAmount: updated.dividendAmount
+  });
+
+  return updated;
+};
+
+module.exports = {
+  calculateDividends,
+  applyToSchedule,
+  distributeDividends
+};
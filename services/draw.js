@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errors');
+const { eligibleBidders, syncPrizedMember } = require('./eligibility');
+const { distributeDividends } = require('./dividends');
+const { discountLimits } = require('./auctionRoom');
+const { openPayout } = require('./payouts');
+
+const UINT32_RANGE = 0x100000000;
+
+// Pick a position in 0..count-1 from the seed. Each round hashes the seed with
+// the auction id and a counter; values from the uneven tail of the 32-bit range
+// are skipped so every position is equally likely. Anyone holding the seed and
+// the candidate list can repeat the calculation.
+const drawIndex = (seed, auctionId, count) => {
+  const limit = Math.floor(UINT32_RANGE / count) * count;
+
+  for (let round = 0; ; round++) {
+    const value = crypto
+      .createHmac('sha256', seed)
+      .update(`${auctionId}:${round}`)
+      .digest()
+      .readUInt32BE(0);
+
+    if (value < limit) {
+      return value % count;
+    }
+  }
+};
+
+const commitmentOf = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+// Pick the seed of a scheduled auction's draw ahead of time and publish only
+// its hash. The seed is revealed by the draw, so members can check it was
+// fixed before the candidates were known.
+const commitDraw = async (prisma, auctionId) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "auctions" WHERE "id" = ${auctionId} FOR UPDATE`;
+
+    const auction = await tx.auction.findUnique({
+      where: { id: auctionId },
+      select: { id: true, status: true, drawCommitment: true }
+    });
+
+    if (!auction) {
+      throw new ApiError(404, 'Auction not found');
+    }
+
+    if (auction.status !== 'SCHEDULED') {
+      throw new ApiError(400, 'Only scheduled auctions can be decided by draw');
+    }
+
+    if (auction.drawCommitment) {
+      throw new ApiError(400, 'A draw seed has already been committed for this auction');
+    }
+
+    const seed = crypto.randomBytes(32).toString('hex');
+    await tx.drawSecret.create({
+      data: { auctionId, seed }
+    });
+
+    return tx.auction.update({
+      where: { id: auctionId },
+      data: {
+        drawCommitment: commitmentOf(seed),
+        drawCommittedAt: new Date()
+      },
+      select: {
+        id: true,
+        drawCommitment: true,
+        drawCommittedAt: true
+      }
+    });
+  });
+};
+
+// Decide a scheduled auction by drawing lots among the eligible non-prized
+// members, using the seed committed beforehand with commitDraw
+const drawWinner = async (prisma, auctionId, { discountAmount = 0 } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "auctions" WHERE "id" = ${auctionId} FOR UPDATE`;
+
+    const auction = await tx.auction.findUnique({
+      where: { id: auctionId },
+      include: { chitScheme: true, drawSecret: true }
+    });
+
+    if (!auction) {
+      throw new ApiError(404, 'Auction not found');
+    }
+
+    if (auction.status !== 'SCHEDULED') {
+      throw new ApiError(400, 'Only scheduled auctions can be decided by draw');
+    }
+
+    const bids = await tx.bid.count({ where: { auctionId } });
+    if (bids > 0) {
+      throw new ApiError(400, 'Bids have been placed on this auction; close the live room to decide it');
+    }
+
+    // The discount set on a draw is held to the same limits as a bid
+    const { minimumBid, maximumBid } = discountLimits(auction.chitScheme);
+    if (!Number.isInteger(discountAmount) || discountAmount < minimumBid || discountAmount > maximumBid) {
+      throw new ApiError(400, `Discount must be between ₹${minimumBid} and ₹${maximumBid}`, { minimumBid, maximumBid });
+    }
+
+    const candidates = await eligibleBidders(tx, auction.chitSchemeId);
+    if (candidates.length === 0) {
+      throw new ApiError(400, 'No eligible members left to draw from');
+    }
+
+    if (!auction.drawSecret) {
+      throw new ApiError(400, 'Commit a draw seed before drawing');
+    }
+
+    const { seed } = auction.drawSecret;
+    const winner = candidates[drawIndex(seed, auctionId, candidates.length)];
+
+    const completed = await tx.auction.update({
+      where: { id: auctionId },
+      data: {
+        status: 'COMPLETED',
+        winningMemberId: winner.customer.id,
+        discountAmount,
+        amountReceived: auction.chitScheme.chitValue - discountAmount,
+        drawSeed: seed,
+        drawCandidates: candidates.map(candidate => candidate.id),
+        drawnAt: new Date()
+      }
+    });
+
+    await tx.drawSecret.delete({ where: { auctionId } });
+    await syncPrizedMember(tx, completed);
+    const updated = await distributeDividends(tx, auctionId);
+    await openPayout(tx, auctionId);
+
+    return { auction: updated, winner, candidates };
+  }, { timeout: 20000 });
+};
+
+// Repeat a recorded draw and check it lands on the recorded winner, with a
+// seed matching the commitment published before the draw
+const verifyDraw = async (prisma, auctionId) => {
+  const auction = await prisma.auction.findUnique({
+    where: { id: auctionId },
+    select: {
+      id: true,
+      status: true,
+      winningMemberId: true,
+      drawSeed: true,
+      drawCandidates: true,
+      drawnAt: true,
+      drawCommitment: true,
+      drawCommittedAt: true
+    }
+  });
+
+  if (!auction) {
+    throw new ApiError(404, 'Auction not found');
+  }
+
+  if (!auction.drawSeed) {
+    throw new ApiError(400, 'Auction was not decided by draw');
+  }
+
+  const memberships = await prisma.customerScheme.findMany({
+    where: { id: { in: auction.drawCandidates } },
+    select: {
+      id: true,
+      ticketNumber: true,
+      customer: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  });
+  const byId = new Map(memberships.map(membership => [membership.id, membership]));
+  const candidates = auction.drawCandidates.map(id => byId.get(id) || { id });
+
+  const index = drawIndex(auction.drawSeed, auction.id, candidates.length);
+  const drawn = candidates[index];
+  const commitmentMatches = auction.drawCommitment === commitmentOf(auction.drawSeed) &&
+    auction.drawCommittedAt <= auction.drawnAt;
+
+  return {
+    auctionId: auction.id,
+    seed: auction.drawSeed,
+    commitment: auction.drawCommitment,
+    committedAt: auction.drawCommittedAt,
+    drawnAt: auction.drawnAt,
+    candidates,
+    index,
+    drawn,
+    commitmentMatches,
+    verified: commitmentMatches && Boolean(drawn.customer) && drawn.customer.id === auction.winningMemberId
+  };
+};
+
+module.exports = {
+  drawIndex,
+  commitmentOf,
+  commitDraw,
+  drawWinner,
+  verifyDraw
+};
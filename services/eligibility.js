@@ -0,0 +1,114 @@
+const { ApiError } = require('../utils/errors');
+
+// A member is "prized" once they have won an auction in the group; their
+// membership then points at that auction and they cannot win (or bid) again.
+const isPrized = (customerScheme) => customerScheme.prizedAuctionId !== null;
+
+// Check that a customer can be recorded as the winner of an auction in the
+// scheme. `auctionId` is the auction being decided, which may already be the
+// one the member won (e.g. when an auction is edited).
+const assertEligibleWinner = async (tx, { chitSchemeId, auctionId = null }, customerId) => {
+  const customerScheme = await tx.customerScheme.findUnique({
+    where: {
+      customerId_schemeId: {
+        customerId,
+        schemeId: chitSchemeId
+      }
+    }
+  });
+
+  if (!customerScheme) {
+    throw new ApiError(400, 'Member does not belong to this chit scheme');
+  }
+
+  // Already the recorded winner of this auction
+  if (auctionId && customerScheme.prizedAuctionId === auctionId) {
+    return customerScheme;
+  }
+
+  if (customerScheme.status !== 'ACTIVE') {
+    throw new ApiError(400, 'Member is not active in this chit scheme');
+  }
+
+  if (isPrized(customerScheme)) {
+    throw new ApiError(400, 'Member has already won an auction in this chit scheme', {
+      prizedAuctionId: customerScheme.prizedAuctionId
+    });
+  }
+
+  return customerScheme;
+};
+
+// Bring the prized flag in line with the auction's result: the winner of a
+// completed auction is prized by it, and nobody else is. The conditional
+// update keeps two auctions from prizing the same member concurrently.
+const syncPrizedMember = async (tx, auction) => {
+  await tx.customerScheme.updateMany({
+    where: {
+      prizedAuctionId: auction.id,
+      ...(auction.status === 'COMPLETED' && auction.winningMemberId
+        ? { NOT: { customerId: auction.winningMemberId } }
+        : {})
+    },
+    data: {
+      prizedAuctionId: null,
+      prizedAt: null
+    }
+  });
+
+  if (auction.status !== 'COMPLETED' || !auction.winningMemberId) {
+    return null;
+  }
+
+  const { count } = await tx.customerScheme.updateMany({
+    where: {
+      customerId: auction.winningMemberId,
+      schemeId: auction.chitSchemeId,
+      OR: [
+        { prizedAuctionId: null },
+        { prizedAuctionId: auction.id }
+      ]
+    },
+    data: {
+      prizedAuctionId: auction.id,
+      prizedAt: auction.auctionDate
+    }
+  });
+
+  if (count === 0) {
+    throw new ApiError(400, 'Member has already won an auction in this chit scheme');
+  }
+
+  return auction.winningMemberId;
+};
+
+// Active members of the scheme who have not won yet, in ticket order
+const eligibleBidders = async (prisma, schemeId) => {
+  return prisma.customerScheme.findMany({
+    where: {
+      schemeId,
+      status: 'ACTIVE',
+      prizedAuctionId: null
+    },
+    select: {
+      id: true,
+      ticketNumber: true,
+      balance: true,
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          mobile: true
+        }
+      }
+    },
+    orderBy: { ticketNumber: 'asc' }
+  });
+};
+
+module.exports = {
+  isPrized,
+  assertEligibleWinner,
+  syncPrizedMember,
+  eligibleBidders
+};
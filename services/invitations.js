@@ -0,0 +1,116 @@
+const bcrypt = require('bcryptjs');
+const { ApiError } = require('../utils/errors');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// How long an invitation can be accepted for, unless configured otherwise
+const DEFAULT_TTL_HOURS = 72;
+
+const ttlHours = () => parseInt(process.env.INVITATION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+const invitationStatus = (invitation, now = new Date()) => {
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt <= now) return 'EXPIRED';
+  return 'PENDING';
+};
+
+// Invite someone to a staff account with the given role. Earlier invitations
+// to the same email that are still open are revoked, so only the newest works.
+// Returns the invitation and the token to hand to the invitee; the token is
+// not stored and cannot be shown again.
+const createInvitation = async (tx, { email, name, role }, invitedById) => {
+  const existingUser = await tx.user.findUnique({
+    where: { email },
+    select: { id: true }
+  });
+  if (existingUser) {
+    throw new ApiError(400, 'User with this email already exists');
+  }
+
+  const now = new Date();
+  await tx.invitation.updateMany({
+    where: { email, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: now }
+  });
+
+  const token = generateToken();
+  const invitation = await tx.invitation.create({
+    data: {
+      email,
+      name,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + ttlHours() * 60 * 60 * 1000),
+      invitedById
+    }
+  });
+
+  return { invitation, token };
+};
+
+// Create the invitee's account from an invitation token. The invitation is
+// claimed with a conditional update, so a token can only ever be used once.
+const acceptInvitation = async (tx, token, { name, password }) => {
+  const invitation = await tx.invitation.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!invitation || invitationStatus(invitation) !== 'PENDING') {
+    throw new ApiError(400, 'Invitation is invalid or has expired');
+  }
+  if (!name && !invitation.name) {
+    throw new ApiError(400, 'Name is required');
+  }
+
+  const acceptedAt = new Date();
+  const { count } = await tx.invitation.updateMany({
+    where: {
+      id: invitation.id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: acceptedAt }
+    },
+    data: { acceptedAt }
+  });
+  if (count === 0) {
+    throw new ApiError(400, 'Invitation is invalid or has expired');
+  }
+
+  const existingUser = await tx.user.findUnique({
+    where: { email: invitation.email },
+    select: { id: true }
+  });
+  if (existingUser) {
+    throw new ApiError(400, 'User with this email already exists');
+  }
+
+  const user = await tx.user.create({
+    data: {
+      email: invitation.email,
+      password: await bcrypt.hash(password, 12),
+      name: name || invitation.name,
+      role: invitation.role
+    },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      isActive: true,
+      createdAt: true
+    }
+  });
+
+  await tx.invitation.update({
+    where: { id: invitation.id },
+    data: { userId: user.id }
+  });
+
+  return user;
+};
+
+module.exports = {
+  invitationStatus,
+  createInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,313 @@
+// Double-entry ledger. Every financial event posts a journal entry whose lines
+// debit and credit the accounts below by equal totals. Entries are never edited:
+// when the source record changes, the difference is posted as a new entry.
+
+const ACCOUNTS = {
+  CASH: { code: '1000', name: 'Cash in hand', type: 'ASSET' },
+  BANK: { code: '1100', name: 'Bank and UPI', type: 'ASSET' },
+  PENALTY_RECEIVABLE: { code: '1200', name: 'Penalties receivable', type: 'ASSET' },
+  SUBSCRIBER_FUND: { code: '2000', name: 'Subscriptions received from members', type: 'LIABILITY' },
+  PRIZE_PAYABLE: { code: '2100', name: 'Prize money payable', type: 'LIABILITY' },
+  DIVIDENDS_CREDITED: { code: '2200', name: 'Dividends credited to members', type: 'LIABILITY' },
+  COMMISSION_INCOME: { code: '4000', name: 'Foreman commission', type: 'INCOME' },
+  PENALTY_INCOME: { code: '4100', name: 'Penalty income', type: 'INCOME' }
+};
+
+// Account money moves through for a payment method
+const cashAccount = (paymentMethod) => (paymentMethod === 'CASH' ? 'CASH' : 'BANK');
+
+const debit = (account, amount) => ({ account, debit: amount, credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: amount });
+
+// Net debit per account of a set of lines
+const netByAccount = (lines) => {
+  const net = {};
+  lines.forEach(line => {
+    net[line.account] = (net[line.account] || 0) + (line.debit || 0) - (line.credit || 0);
+  });
+  return net;
+};
+
+// Bring the ledger in line with what a source record should have posted.
+// `lines` is the full posting the record stands for now (empty once it is
+// reversed); only the difference from what was posted before is written.
+const syncPosting = async (tx, source, lines) => {
+  const { sourceType, sourceId, date, description, customerSchemeId = null, paymentMethod = null, createdById = null } = source;
+
+  const posted = await tx.journalLine.groupBy({
+    by: ['account'],
+    where: { journalEntry: { sourceType, sourceId } },
+    _sum: { debit: true, credit: true }
+  });
+
+  const target = netByAccount(lines.filter(line => line.debit > 0 || line.credit > 0));
+  const previous = netByAccount(posted.map(row => ({
+    account: row.account,
+    debit: row._sum.debit || 0,
+    credit: row._sum.credit || 0
+  })));
+
+  const accounts = new Set([...Object.keys(target), ...Object.keys(previous)]);
+  const adjustments = [];
+  accounts.forEach(account => {
+    const difference = (target[account] || 0) - (previous[account] || 0);
+    if (difference > 0) adjustments.push(debit(account, difference));
+    if (difference < 0) adjustments.push(credit(account, -difference));
+  });
+
+  if (adjustments.length === 0) {
+    return null;
+  }
+
+  const totalDebit = adjustments.reduce((sum, line) => sum + line.debit, 0);
+  const totalCredit = adjustments.reduce((sum, line) => sum + line.credit, 0);
+  if (totalDebit !== totalCredit) {
+    throw new Error(`Unbalanced journal for ${sourceType} ${sourceId}: debit ${totalDebit}, credit ${totalCredit}`);
+  }
+
+  return tx.journalEntry.create({
+    data: {
+      // Corrections are booked when they are made, not back in the original period
+      date: posted.length === 0 && date ? new Date(date) : new Date(),
+      sourceType,
+      sourceId,
+      description: posted.length > 0 ? `Adjustment: ${description}` : description,
+      customerSchemeId,
+      paymentMethod,
+      createdById,
+      lines: { create: adjustments }
+    }
+  });
+};
+
+// Subscription received through a collection or a paid passbook entry.
+// A reversed payment stands for nothing, and the negating record that
+// reverses it posts nothing of its own: the original's posting is undone.
+const paymentLines = (record, amount) => {
+  if (record.reversed || record.reversalOfId || !(amount > 0) || record.paymentMethod === 'NOT_PAID') {
+    return [];
+  }
+  const { paymentMethod } = record;
+  return [
+    debit(cashAccount(paymentMethod), amount),
+    credit('SUBSCRIBER_FUND', amount)
+  ];
+};
+
+const postCollection = (tx, collection, createdById) => {
+  return syncPosting(tx, {
+    sourceType: 'COLLECTION',
+    sourceId: collection.id,
+    date: collection.date,
+    description: `Collection from member${collection.reversed ? ` (reversed: ${collection.reversalReason})` : ''}`,
+    customerSchemeId: collection.customerSchemeId,
+    paymentMethod: collection.paymentMethod,
+    createdById
+  }, paymentLines(collection, collection.amountPaid));
+};
+
+const postPassbookPayment = (tx, entry, createdById) => {
+  const amount = entry.type === 'MANUAL' ? Number(entry.amount) || 0 : 0;
+
+  return syncPosting(tx, {
+    sourceType: 'PASSBOOK',
+    sourceId: entry.id,
+    date: entry.date,
+    description: `Passbook payment${entry.reversed ? ` (reversed: ${entry.reversalReason})` : ''}`,
+    customerSchemeId: entry.customerSchemeId,
+    paymentMethod: entry.paymentMethod,
+    createdById
+  }, paymentLines(entry, amount));
+};
+
+// A completed auction hands the chit value out of the members' fund: the
+// winner's prize, the foreman's commission and the dividend to the others.
+// Rupees left over from the equal dividend split go with the commission.
+const postAuctionResult = async (tx, auction, { chitValue, dividendAmount }) => {
+  const prize = chitValue - auction.discountAmount;
+  const commissionAmount = auction.discountAmount - dividendAmount;
+  const source = {
+    sourceId: auction.id,
+    date: auction.auctionDate,
+    customerSchemeId: null
+  };
+
+  await syncPosting(tx, { ...source, sourceType: 'AUCTION', description: 'Prize money due to auction winner' }, [
+    debit('SUBSCRIBER_FUND', prize),
+    credit('PRIZE_PAYABLE', prize)
+  ]);
+  await syncPosting(tx, { ...source, sourceType: 'COMMISSION', description: 'Foreman commission on auction' }, [
+    debit('SUBSCRIBER_FUND', commissionAmount),
+    credit('COMMISSION_INCOME', commissionAmount)
+  ]);
+  await syncPosting(tx, { ...source, sourceType: 'DIVIDEND', description: 'Dividend credited to non-winning members' }, [
+    debit('SUBSCRIBER_FUND', dividendAmount),
+    credit('DIVIDENDS_CREDITED', dividendAmount)
+  ]);
+};
+
+const postPayout = (tx, payout, createdById) => {
+  return syncPosting(tx, {
+    sourceType: 'PAYOUT',
+    sourceId: payout.id,
+    date: payout.paidAt,
+    description: 'Prize money paid to auction winner',
+    customerSchemeId: payout.customerSchemeId,
+    paymentMethod: payout.paymentMethod,
+    createdById
+  }, [
+    debit('PRIZE_PAYABLE', payout.amount),
+    credit(cashAccount(payout.paymentMethod), payout.amount)
+  ]);
+};
+
+// All penalties ever charged on a membership, waived or not; waivers post separately
+const postPenalties = (tx, customerSchemeId, totalCharged) => {
+  return syncPosting(tx, {
+    sourceType: 'PENALTY',
+    sourceId: customerSchemeId,
+    description: 'Late payment penalties charged',
+    customerSchemeId
+  }, [
+    debit('PENALTY_RECEIVABLE', totalCharged),
+    credit('PENALTY_INCOME', totalCharged)
+  ]);
+};
+
+const postPenaltyWaiver = (tx, penalty, createdById) => {
+  return syncPosting(tx, {
+    sourceType: 'PENALTY_WAIVER',
+    sourceId: penalty.id,
+    date: penalty.waivedAt,
+    description: `Penalty waived: ${penalty.waiverReason}`,
+    customerSchemeId: penalty.customerSchemeId,
+    createdById
+  }, [
+    debit('PENALTY_INCOME', penalty.amount),
+    credit('PENALTY_RECEIVABLE', penalty.amount)
+  ]);
+};
+
+// Subscription receipts (collections and passbook payments) between two
+// dates, one row per journal entry. Adjustments show up as negative amounts.
+const subscriptionReceipts = async (prisma, { start, end, schemeId } = {}) => {
+  const where = {
+    sourceType: { in: ['COLLECTION', 'PASSBOOK'] }
+  };
+
+  if (start || end) {
+    where.date = {
+      ...(start && { gte: start }),
+      ...(end && { lte: end })
+    };
+  }
+
+  if (schemeId) {
+    where.customerScheme = { schemeId };
+  }
+
+  const entries = await prisma.journalEntry.findMany({
+    where,
+    include: {
+      lines: {
+        where: { account: 'SUBSCRIBER_FUND' }
+      },
+      customerScheme: {
+        select: {
+          id: true,
+          customerId: true,
+          scheme: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  return entries.map(entry => ({
+    id: entry.id,
+    date: entry.date,
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    paymentMethod: entry.paymentMethod,
+    customerSchemeId: entry.customerSchemeId,
+    customerId: entry.customerScheme ? entry.customerScheme.customerId : null,
+    scheme: entry.customerScheme ? entry.customerScheme.scheme : null,
+    amount: entry.lines.reduce((sum, line) => sum + line.credit - line.debit, 0)
+  }));
+};
+
+// Net subscriptions received between two dates
+const receiptsTotal = async (prisma, { start, end } = {}) => {
+  const totals = await prisma.journalLine.aggregate({
+    where: {
+      account: 'SUBSCRIBER_FUND',
+      journalEntry: {
+        sourceType: { in: ['COLLECTION', 'PASSBOOK'] },
+        ...((start || end) && {
+          date: {
+            ...(start && { gte: start }),
+            ...(end && { lte: end })
+          }
+        })
+      }
+    },
+    _sum: { debit: true, credit: true }
+  });
+
+  return (totals._sum.credit || 0) - (totals._sum.debit || 0);
+};
+
+// Closing balance of each account for entries dated up to `end` (and from
+// `start` when given), as debit and credit totals plus the net balance on
+// the account's normal side
+const accountBalances = async (prisma, { start, end } = {}) => {
+  const where = {};
+  if (start || end) {
+    where.journalEntry = {
+      date: {
+        ...(start && { gte: start }),
+        ...(end && { lte: end })
+      }
+    };
+  }
+
+  const rows = await prisma.journalLine.groupBy({
+    by: ['account'],
+    where,
+    _sum: { debit: true, credit: true }
+  });
+  const sums = new Map(rows.map(row => [row.account, row._sum]));
+
+  return Object.entries(ACCOUNTS).map(([account, details]) => {
+    const totalDebit = (sums.get(account) || {}).debit || 0;
+    const totalCredit = (sums.get(account) || {}).credit || 0;
+    const debitNormal = details.type === 'ASSET' || details.type === 'EXPENSE';
+
+    return {
+      account,
+      ...details,
+      debit: totalDebit,
+      credit: totalCredit,
+      balance: debitNormal ? totalDebit - totalCredit : totalCredit - totalDebit
+    };
+  });
+};
+
+module.exports = {
+  ACCOUNTS,
+  syncPosting,
+  postCollection,
+  postPassbookPayment,
+  postAuctionResult,
+  postPayout,
+  postPenalties,
+  postPenaltyWaiver,
+  subscriptionReceipts,
+  receiptsTotal,
+  accountBalances
+};
@@ -0,0 +1,123 @@
+const { ApiError } = require('../utils/errors');
+
+// Failed sign-ins in a row that lock an account, and for how long
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+// Longest wait imposed between two failed attempts
+const MAX_DELAY_SECONDS = 30;
+
+const maxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const lockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+
+// Seconds to wait after `failures` failed attempts in a row: 1, 2, 4, 8...
+const retryDelay = (failures) => (failures > 0 ? Math.min(2 ** (failures - 1), MAX_DELAY_SECONDS) : 0);
+
+// Refuse a sign-in while the account is locked or the wait after the last
+// failure has not passed. Refused attempts are not counted as failures.
+const assertCanAttempt = (user, now = new Date()) => {
+  if (user.lockedUntil && user.lockedUntil > now) {
+    throw new ApiError(423, 'Account is locked after too many failed sign-ins', {
+      lockedUntil: user.lockedUntil
+    });
+  }
+
+  if (user.lastFailedLoginAt) {
+    const retryAt = user.lastFailedLoginAt.getTime() + retryDelay(user.failedLoginAttempts) * 1000;
+    if (retryAt > now.getTime()) {
+      throw new ApiError(429, 'Too many failed sign-ins, please wait before trying again', {
+        retryAfter: Math.ceil((retryAt - now.getTime()) / 1000)
+      });
+    }
+  }
+};
+
+// Count a failed sign-in. The attempt that reaches the limit locks the
+// account, records the lockout and is returned; otherwise returns null.
+const recordFailedLogin = (prisma, user, req) => prisma.$transaction(async (tx) => {
+  const now = new Date();
+
+  // The increment locks the user row, so concurrent failures are counted one by one
+  const { failedLoginAttempts } = await tx.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: now
+    },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (failedLoginAttempts < maxAttempts()) {
+    return null;
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockoutMinutes() * 60 * 1000);
+  await tx.user.update({
+    where: { id: user.id },
+    data: {
+      lockedUntil,
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null
+    }
+  });
+
+  return tx.accountLockout.create({
+    data: {
+      userId: user.id,
+      failedAttempts: failedLoginAttempts,
+      lockedAt: now,
+      lockedUntil,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }
+  });
+});
+
+// Clear the failure count after a successful sign-in
+const recordSuccessfulLogin = (prisma, user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil && !user.lastFailedLoginAt) {
+    return null;
+  }
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    }
+  });
+};
+
+// Lift a lockout before it runs out, noting who did it on the lockout record
+const unlockAccount = (prisma, userId, unlockedById) => prisma.$transaction(async (tx) => {
+  const now = new Date();
+
+  const { count } = await tx.accountLockout.updateMany({
+    where: {
+      userId,
+      unlockedAt: null,
+      lockedUntil: { gt: now }
+    },
+    data: {
+      unlockedAt: now,
+      unlockedById
+    }
+  });
+
+  await tx.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    }
+  });
+
+  return count;
+});
+
+module.exports = {
+  assertCanAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
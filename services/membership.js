@@ -0,0 +1,111 @@
+const { ApiError } = require('../utils/errors');
+const { generateSchedule } = require('./schedule');
+
+// Two agents enrolling at once can pick the same free ticket; the unique
+// (schemeId, ticketNumber) index rejects the loser, who simply picks again
+const MAX_ENROLLMENT_ATTEMPTS = 5;
+
+// Lowest ticket number not yet taken in the scheme, or null if the group is full
+const nextTicketNumber = async (tx, scheme) => {
+  const taken = await tx.customerScheme.findMany({
+    where: { schemeId: scheme.id },
+    select: { ticketNumber: true }
+  });
+  const used = new Set(taken.map(cs => cs.ticketNumber));
+
+  for (let ticketNumber = 1; ticketNumber <= scheme.numberOfMembers; ticketNumber++) {
+    if (!used.has(ticketNumber)) {
+      return ticketNumber;
+    }
+  }
+  return null;
+};
+
+const isUniqueViolationOn = (error, field) =>
+  error.code === 'P2002' && [].concat(error.meta?.target || []).some(target => String(target).includes(field));
+
+// Enroll a customer in a scheme, allocating their ticket number, bumping the
+// enrolled count and generating their installment schedule in one transaction.
+// The schedule is built from the scheme's base installment, so enrollment
+// closes once an auction has completed or changed the installment.
+const enrollMember = async (prisma, scheme, data, { include } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const auctionsHeld = await tx.auction.count({
+          where: {
+            chitSchemeId: scheme.id,
+            OR: [{ status: 'COMPLETED' }, { newDailyPayment: { not: null } }]
+          }
+        });
+        if (auctionsHeld > 0) {
+          throw new ApiError(400, 'Members cannot join a scheme after its first auction');
+        }
+
+        const ticketNumber = await nextTicketNumber(tx, scheme);
+        if (!ticketNumber) {
+          throw new ApiError(400, 'Chit scheme is full');
+        }
+
+        const customerScheme = await tx.customerScheme.create({
+          data: {
+            ...data,
+            schemeId: scheme.id,
+            ticketNumber
+          },
+          include
+        });
+
+        await tx.chitScheme.update({
+          where: { id: scheme.id },
+          data: {
+            membersEnrolled: {
+              increment: 1
+            }
+          }
+        });
+
+        await generateSchedule(tx, scheme, customerScheme);
+
+        return customerScheme;
+      }, { timeout: 20000 });
+    } catch (error) {
+      if (isUniqueViolationOn(error, 'ticketNumber') && attempt < MAX_ENROLLMENT_ATTEMPTS) {
+        continue;
+      }
+      if (isUniqueViolationOn(error, 'customerId')) {
+        throw new ApiError(400, 'Customer is already enrolled in this scheme');
+      }
+      throw error;
+    }
+  }
+};
+
+// Auctions store the winner as a customer; add the ticket they hold in the auction's scheme
+const withWinningTickets = async (prisma, auctions) => {
+  const winners = auctions.filter(auction => auction.winningMemberId);
+  if (winners.length === 0) {
+    return auctions.map(auction => ({ ...auction, winningTicketNumber: null }));
+  }
+
+  const memberships = await prisma.customerScheme.findMany({
+    where: {
+      OR: winners.map(auction => ({
+        customerId: auction.winningMemberId,
+        schemeId: auction.chitSchemeId
+      }))
+    },
+    select: { customerId: true, schemeId: true, ticketNumber: true }
+  });
+  const ticketByMember = new Map(memberships.map(cs => [`${cs.schemeId}:${cs.customerId}`, cs.ticketNumber]));
+
+  return auctions.map(auction => ({
+    ...auction,
+    winningTicketNumber: ticketByMember.get(`${auction.chitSchemeId}:${auction.winningMemberId}`) ?? null
+  }));
+};
+
+module.exports = {
+  enrollMember,
+  withWinningTickets
+};
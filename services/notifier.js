@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Messages to users (reset codes and the like) go through a notifier: an
+// object with `send({ to, subject, text })`. NOTIFIER picks one by name.
+// `console` and `file` are stand-ins for local development; `webhook` hands
+// messages to an SMS or email gateway over HTTP. Other providers can be
+// added with registerNotifier.
+const notifiers = {
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`[notification] to ${to}: ${subject}\n${text}`);
+    }
+  },
+
+  file: {
+    send: async ({ to, subject, text }) => {
+      const file = path.resolve(process.env.NOTIFIER_FILE || 'notifications.log');
+      const entry = `${new Date().toISOString()} to ${to}: ${subject}\n${text}\n\n`;
+      await fs.promises.appendFile(file, entry);
+    }
+  },
+
+  webhook: {
+    send: async (message) => {
+      if (!process.env.NOTIFIER_WEBHOOK_URL) {
+        throw new Error('NOTIFIER_WEBHOOK_URL is not set');
+      }
+
+      const response = await fetch(process.env.NOTIFIER_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.NOTIFIER_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.NOTIFIER_WEBHOOK_TOKEN}` })
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Notification webhook answered ${response.status}`);
+      }
+    }
+  }
+};
+
+const registerNotifier = (name, notifier) => {
+  notifiers[name] = notifier;
+};
+
+// The configured notifier. Codes printed to the console would end up in
+// production logs, so production has no default and must set NOTIFIER.
+const getNotifier = () => {
+  const name = process.env.NOTIFIER || (process.env.NODE_ENV === 'production' ? null : 'console');
+  const notifier = name && notifiers[name];
+
+  if (!notifier) {
+    throw new Error(name ? `Unknown notifier "${name}"` : 'NOTIFIER is not set');
+  }
+  return notifier;
+};
+
+const notify = (message) => getNotifier().send(message);
+
+module.exports = {
+  registerNotifier,
+  notify
+};
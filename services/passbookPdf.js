@@ -0,0 +1,142 @@
+const {
+  formatValue,
+  createPdf,
+  drawLetterhead,
+  drawTable,
+  numberPages,
+  pageBottom,
+  contentWidth
+} = require('./reportExport');
+
+const PASSBOOK_COLUMNS = [
+  { key: 'month', label: 'Month', type: 'number', width: 0.6 },
+  { key: 'date', label: 'Date', type: 'date' },
+  { key: 'dailyPayment', label: 'Daily Payment', type: 'amount' },
+  { key: 'amount', label: 'Amount', type: 'amount' },
+  { key: 'chittiAmount', label: 'Chitti Amount', type: 'amount' },
+  { key: 'chitLifting', label: 'Chit Lifting', type: 'text' },
+  { key: 'balance', label: 'Balance', type: 'amount' },
+  { key: 'note', label: 'Note', type: 'text', width: 0.8 }
+];
+
+const SIGNATURES = ['Member', 'Collector', 'Manager'];
+
+// Passbook rows in date order with the balance left after each payment,
+// starting from the full amount payable. Each entry carries `paid`, the
+// amount it takes off the balance.
+const passbookRows = (customerScheme, entries) => {
+  let balance = customerScheme.amountPerDay * customerScheme.duration;
+
+  return entries.map(entry => {
+    balance -= entry.paid;
+    return {
+      month: entry.month,
+      date: entry.date,
+      dailyPayment: entry.dailyPayment,
+      amount: entry.type === 'GENERATED' ? null : entry.amount,
+      chittiAmount: entry.chittiAmount,
+      chitLifting: entry.chitLifting === 'YES' ? formatValue(entry.chitLiftingAmount || 0, 'amount') : '-',
+      balance,
+      note: entry.reversed ? 'Reversed' : entry.reversalOfId ? 'Reversal' : ''
+    };
+  });
+};
+
+// Two columns of label/value pairs describing the member and the scheme
+const drawDetails = (doc, left, right) => {
+  const half = contentWidth(doc) / 2;
+  const top = doc.y;
+
+  const column = (pairs, x) => {
+    doc.y = top;
+    pairs.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { width: 90 });
+      doc.font('Helvetica').text(value || '-', x + 90, y, { width: half - 100 });
+      doc.y = Math.max(doc.y, y + 13);
+    });
+    return doc.y;
+  };
+
+  const leftBottom = column(left, doc.page.margins.left);
+  const rightBottom = column(right, doc.page.margins.left + half);
+
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(leftBottom, rightBottom);
+};
+
+const drawSignatures = (doc) => {
+  const height = 60;
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+  }
+
+  const width = contentWidth(doc) / SIGNATURES.length;
+  const lineY = doc.y + 40;
+
+  SIGNATURES.forEach((label, index) => {
+    const x = doc.page.margins.left + index * width;
+    doc.moveTo(x + 10, lineY).lineTo(x + width - 10, lineY).lineWidth(0.5).stroke('#000000');
+    doc.font('Helvetica').fontSize(9).text(`${label} Signature`, x, lineY + 5, { width, align: 'center' });
+  });
+
+  doc.x = doc.page.margins.left;
+  doc.y = lineY + 20;
+};
+
+// Stream a membership's passbook as a PDF laid out like the printed passbook
+const writePassbookPdf = (res, { customerScheme, entries, dividendsCredited }) => {
+  const { customer, scheme } = customerScheme;
+  const rows = passbookRows(customerScheme, entries);
+  const totalPayable = customerScheme.amountPerDay * customerScheme.duration;
+  const totalPaid = entries.reduce((sum, entry) => sum + entry.paid, 0);
+
+  const doc = createPdf(res);
+  drawLetterhead(doc);
+
+  doc.font('Helvetica-Bold').fontSize(14).text('PASSBOOK', { align: 'center' });
+  doc.moveDown(0.5);
+
+  drawDetails(doc, [
+    ['Member', customer.name],
+    ['Mobile', customer.mobile],
+    ['Address', customer.address],
+    ['Ticket No', String(customerScheme.ticketNumber)],
+    ['Status', customerScheme.status]
+  ], [
+    ['Scheme', scheme.name],
+    ['Chit Value', formatValue(scheme.chitValue, 'amount')],
+    ['Duration', `${customerScheme.duration} ${customerScheme.durationType.toLowerCase()}`],
+    ['Installment', `${formatValue(customerScheme.amountPerDay, 'amount')} per ${scheme.paymentType === 'MONTHLY' ? 'month' : 'day'}`],
+    ['Start Date', formatValue(customerScheme.startDate, 'date')]
+  ]);
+  doc.moveDown();
+
+  drawTable(doc, PASSBOOK_COLUMNS, rows);
+
+  if (rows.length === 0) {
+    doc.moveDown().font('Helvetica').fontSize(9).text('No passbook entries yet.');
+  }
+
+  doc.moveDown();
+  [
+    ['Total Payable', totalPayable],
+    ['Total Paid', totalPaid],
+    ['Dividends Credited', dividendsCredited],
+    ['Balance Outstanding', customerScheme.balance]
+  ].forEach(([label, value]) => {
+    if (doc.y + 14 > pageBottom(doc)) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`${label}: Rs. ${formatValue(value, 'amount')}`, doc.page.margins.left, doc.y, { width: contentWidth(doc), align: 'right' });
+  });
+
+  doc.moveDown(2);
+  drawSignatures(doc);
+
+  numberPages(doc, `${customer.name} - ${scheme.name} - Ticket ${customerScheme.ticketNumber}`);
+  doc.end();
+};
+
+module.exports = {
+  writePassbookPdf
+};
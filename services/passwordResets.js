@@ -0,0 +1,110 @@
+const bcrypt = require('bcryptjs');
+const { ApiError } = require('../utils/errors');
+const { letterhead } = require('../utils/company');
+const { generateCode, hashToken } = require('../utils/tokens');
+const { notify } = require('./notifier');
+const { recordSuccessfulLogin } = require('./lockouts');
+const { revokeUserSessions } = require('./sessions');
+
+// Reset codes stay valid for this many minutes
+const DEFAULT_TTL_MINUTES = 15;
+// Wrong codes a reset tolerates before it stops working
+const MAX_CODE_ATTEMPTS = 5;
+// Shortest gap between two codes sent to the same account
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const resetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+
+const invalidReset = () => new ApiError(400, 'Reset code is invalid or has expired');
+
+// Send a user a new reset code. Only the latest code works, so earlier ones
+// are replaced. Nothing is sent when a code went out moments ago; returns
+// whether one was sent.
+const requestPasswordReset = async (prisma, user, req) => {
+  const now = new Date();
+
+  const recent = await prisma.passwordReset.findFirst({
+    where: {
+      userId: user.id,
+      createdAt: { gt: new Date(now.getTime() - RESEND_INTERVAL_MS) }
+    }
+  });
+  if (recent) return false;
+
+  const code = generateCode();
+  const ttl = resetTtlMinutes();
+
+  const reset = await prisma.passwordReset.create({
+    data: {
+      userId: user.id,
+      codeHash: hashToken(code),
+      expiresAt: new Date(now.getTime() + ttl * 60 * 1000),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }
+  });
+
+  // A code that never arrived must not hold up a retry behind the resend interval
+  try {
+    await notify({
+      to: user.email,
+      subject: 'Password reset code',
+      text: `Your ${letterhead().name} password reset code is ${code}. It expires in ${ttl} minutes. ` +
+        'If you did not ask to reset your password, ignore this message.'
+    });
+  } catch (error) {
+    await prisma.passwordReset.delete({ where: { id: reset.id } });
+    throw error;
+  }
+
+  return true;
+};
+
+// Set a new password with the latest reset code. A wrong code counts against
+// the reset and returns false. On success every session is signed out and
+// the failed sign-in count is cleared.
+const resetPassword = async (prisma, user, code, newPassword) => {
+  const reset = await prisma.passwordReset.findFirst({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!reset || reset.usedAt || reset.expiresAt <= new Date() || reset.attempts >= MAX_CODE_ATTEMPTS) {
+    throw invalidReset();
+  }
+
+  if (hashToken(code) !== reset.codeHash) {
+    await prisma.passwordReset.update({
+      where: { id: reset.id },
+      data: { attempts: { increment: 1 } }
+    });
+    return false;
+  }
+
+  const password = await bcrypt.hash(newPassword, 12);
+
+  await prisma.$transaction(async (tx) => {
+    // Two requests with the same code: only the first resets the password
+    const { count } = await tx.passwordReset.updateMany({
+      where: { id: reset.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    if (count === 0) {
+      throw invalidReset();
+    }
+
+    await tx.user.update({
+      where: { id: user.id },
+      data: { password }
+    });
+    await recordSuccessfulLogin(tx, user);
+    await revokeUserSessions(tx, user.id, 'Password reset');
+  });
+
+  return true;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,176 @@
+const { ApiError } = require('../utils/errors');
+const { postPayout } = require('./ledger');
+
+const payoutInclude = {
+  auction: {
+    select: {
+      id: true,
+      auctionDate: true,
+      discountAmount: true,
+      chitScheme: {
+        select: {
+          id: true,
+          name: true,
+          chitValue: true
+        }
+      }
+    }
+  },
+  customerScheme: {
+    select: {
+      id: true,
+      ticketNumber: true,
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          mobile: true
+        }
+      }
+    }
+  },
+  verifiedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  approvedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  releasedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+// Open the payout owed to the winner of a completed auction. Safe to call more than once.
+const openPayout = async (tx, auctionId) => {
+  const existing = await tx.payout.findUnique({
+    where: { auctionId }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  const auction = await tx.auction.findUnique({
+    where: { id: auctionId },
+    include: { chitScheme: true }
+  });
+
+  const customerScheme = await tx.customerScheme.findUnique({
+    where: {
+      customerId_schemeId: {
+        customerId: auction.winningMemberId,
+        schemeId: auction.chitSchemeId
+      }
+    }
+  });
+
+  return tx.payout.create({
+    data: {
+      auctionId,
+      customerSchemeId: customerScheme.id,
+      amount: auction.chitScheme.chitValue - auction.discountAmount
+    }
+  });
+};
+
+// Move a payout from one state to the next. The status is part of the update
+// condition so two users acting on the same payout cannot both succeed.
+const transition = async (prisma, payoutId, { from, where = {}, data, message }) => {
+  const { count } = await prisma.payout.updateMany({
+    where: { id: payoutId, status: from, ...where },
+    data
+  });
+
+  if (count === 0) {
+    const payout = await prisma.payout.findUnique({
+      where: { id: payoutId },
+      select: { status: true }
+    });
+
+    if (!payout) {
+      throw new ApiError(404, 'Payout not found');
+    }
+    if (payout.status !== from) {
+      throw new ApiError(400, `Payout is ${payout.status}, expected ${from}`, { status: payout.status });
+    }
+    throw new ApiError(400, message);
+  }
+
+  return prisma.payout.findUnique({
+    where: { id: payoutId },
+    include: payoutInclude
+  });
+};
+
+// Guarantor details and security documents can be changed until they are verified
+const updateGuarantor = (prisma, payoutId, data) => {
+  return transition(prisma, payoutId, {
+    from: 'PENDING_DOCUMENTS',
+    data
+  });
+};
+
+const verifyGuarantor = (prisma, payoutId, userId) => {
+  return transition(prisma, payoutId, {
+    from: 'PENDING_DOCUMENTS',
+    where: {
+      guarantorName: { not: null },
+      guarantorMobile: { not: null },
+      NOT: { securityDocuments: { isEmpty: true } }
+    },
+    data: {
+      status: 'GUARANTOR_VERIFIED',
+      verifiedById: userId,
+      verifiedAt: new Date()
+    },
+    message: 'Guarantor name, mobile and at least one security document are required'
+  });
+};
+
+const approvePayout = (prisma, payoutId, userId, remarks) => {
+  return transition(prisma, payoutId, {
+    from: 'GUARANTOR_VERIFIED',
+    data: {
+      status: 'APPROVED',
+      approvedById: userId,
+      approvedAt: new Date(),
+      ...(remarks !== undefined && { remarks })
+    }
+  });
+};
+
+const releasePayout = (prisma, payoutId, userId, { paymentMethod, paymentReference, paidAt }) => {
+  return prisma.$transaction(async (tx) => {
+    const payout = await transition(tx, payoutId, {
+      from: 'APPROVED',
+      data: {
+        status: 'PAID',
+        paymentMethod,
+        paymentReference,
+        releasedById: userId,
+        paidAt: paidAt ? new Date(paidAt) : new Date()
+      }
+    });
+
+    await postPayout(tx, payout, userId);
+    return payout;
+  });
+};
+
+module.exports = {
+  payoutInclude,
+  openPayout,
+  updateGuarantor,
+  verifyGuarantor,
+  approvePayout,
+  releasePayout
+};
@@ -0,0 +1,239 @@
+const { ApiError } = require('../utils/errors');
+const { postPenalties, postPenaltyWaiver } = require('./ledger');
+
+// Grace period when a scheme does not set one
+const DEFAULT_GRACE_DAYS = 0;
+// An overdue installment is charged the penalty rate once for every period it stays unpaid
+const PENALTY_PERIOD_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Amount paid towards the membership up to a given time, from collections and
+// paid MANUAL passbook entries. Reversed payments never count.
+const paidBy = (payments, time) => payments
+  .filter(payment => payment.date <= time)
+  .reduce((sum, payment) => sum + payment.amount, 0);
+
+// Charges due on a membership as of `asOf`. Payments settle installments in
+// due date order, so an installment is unpaid at a given time by whatever its
+// running total of dues exceeds the running total of payments at that time.
+const calculatePenalties = (scheme, installments, payments, asOf) => {
+  const rate = scheme.penaltyRate || 0;
+  const graceDays = scheme.penaltyGraceDays ?? DEFAULT_GRACE_DAYS;
+  const charges = [];
+
+  if (rate <= 0) {
+    return charges;
+  }
+
+  let cumulativeDue = 0;
+  for (const installment of installments) {
+    cumulativeDue += installment.dailyPayment;
+    if (installment.dailyPayment <= 0) continue;
+
+    for (let period = 1; ; period++) {
+      const chargedOn = addDays(installment.date, graceDays + (period - 1) * PENALTY_PERIOD_DAYS);
+      if (chargedOn >= asOf) break;
+
+      const unpaid = Math.min(installment.dailyPayment, cumulativeDue - paidBy(payments, chargedOn));
+      if (unpaid <= 0) break;
+
+      const amount = Math.round(unpaid * rate);
+      if (amount > 0) {
+        charges.push({
+          customerSchemeId: installment.customerSchemeId,
+          passbookEntryId: installment.id,
+          dueDate: installment.date,
+          period,
+          chargedOn,
+          overdueAmount: unpaid,
+          rate,
+          amount
+        });
+      }
+    }
+  }
+
+  return charges;
+};
+
+// Memberships of the given ids whose scheme charges penalties
+const penalisedMemberships = (prisma, customerSchemeIds) => prisma.customerScheme.findMany({
+  where: {
+    id: { in: customerSchemeIds },
+    scheme: { penaltyRate: { gt: 0 } }
+  },
+  include: { scheme: true }
+});
+
+// Every charge due on a membership as of `asOf`, recorded or not
+const membershipCharges = async (prisma, customerScheme, asOf) => {
+  const [installments, passbookPayments, collections] = await Promise.all([
+    prisma.passbookEntry.findMany({
+      where: {
+        customerSchemeId: customerScheme.id,
+        type: 'GENERATED',
+        date: { lt: asOf }
+      },
+      orderBy: { date: 'asc' }
+    }),
+    prisma.passbookEntry.findMany({
+      where: {
+        customerSchemeId: customerScheme.id,
+        type: 'MANUAL',
+        paymentMethod: { not: 'NOT_PAID' },
+        reversed: false,
+        reversalOfId: null
+      },
+      select: { date: true, amount: true }
+    }),
+    prisma.collection.findMany({
+      where: {
+        customerSchemeId: customerScheme.id,
+        reversed: false,
+        reversalOfId: null
+      },
+      select: { date: true, amountPaid: true }
+    })
+  ]);
+
+  const payments = [
+    ...passbookPayments.map(entry => ({ date: entry.date, amount: Number(entry.amount) || 0 })),
+    ...collections.map(collection => ({ date: collection.date, amount: collection.amountPaid }))
+  ];
+
+  return calculatePenalties(customerScheme.scheme, installments, payments, asOf);
+};
+
+// Record any new penalty charges for the given memberships. Charges already
+// recorded (or waived) are left alone, so this can run as often as needed.
+const accruePenalties = async (prisma, customerSchemeIds, asOf = new Date()) => {
+  const customerSchemes = await penalisedMemberships(prisma, customerSchemeIds);
+
+  let accrued = 0;
+  for (const customerScheme of customerSchemes) {
+    const charges = await membershipCharges(prisma, customerScheme, asOf);
+    if (charges.length === 0) continue;
+
+    // Record the new charges and post them to the ledger one membership at a time
+    accrued += await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "customer_schemes" WHERE "id" = ${customerScheme.id} FOR UPDATE`;
+
+      const { count } = await tx.penalty.createMany({
+        data: charges,
+        skipDuplicates: true
+      });
+
+      if (count > 0) {
+        const charged = await tx.penalty.aggregate({
+          where: { customerSchemeId: customerScheme.id },
+          _sum: { amount: true }
+        });
+        await postPenalties(tx, customerScheme.id, charged._sum.amount || 0);
+      }
+
+      return count;
+    });
+  }
+
+  return accrued;
+};
+
+// Charges due but not yet recorded by accruePenalties, per membership.
+// Read-only, for showing an up-to-date figure between accrual runs.
+const pendingPenalties = async (prisma, customerSchemeIds, asOf = new Date()) => {
+  const customerSchemes = await penalisedMemberships(prisma, customerSchemeIds);
+
+  const byMembership = {};
+  for (const customerScheme of customerSchemes) {
+    const [charges, recorded] = await Promise.all([
+      membershipCharges(prisma, customerScheme, asOf),
+      prisma.penalty.findMany({
+        where: { customerSchemeId: customerScheme.id },
+        select: { passbookEntryId: true, period: true }
+      })
+    ]);
+
+    const recordedKeys = new Set(recorded.map(penalty => `${penalty.passbookEntryId}:${penalty.period}`));
+    byMembership[customerScheme.id] = charges
+      .filter(charge => !recordedKeys.has(`${charge.passbookEntryId}:${charge.period}`))
+      .reduce((sum, charge) => sum + charge.amount, 0);
+  }
+
+  return byMembership;
+};
+
+// Outstanding (not waived) and waived penalty totals per membership
+const penaltyTotals = async (prisma, customerSchemeIds) => {
+  const groups = await prisma.penalty.groupBy({
+    by: ['customerSchemeId', 'waivedAt'],
+    where: { customerSchemeId: { in: customerSchemeIds } },
+    _sum: { amount: true }
+  });
+
+  const byMembership = {};
+  customerSchemeIds.forEach(id => {
+    byMembership[id] = { accruedPenalty: 0, waivedPenalty: 0 };
+  });
+
+  groups.forEach(group => {
+    const key = group.waivedAt ? 'waivedPenalty' : 'accruedPenalty';
+    byMembership[group.customerSchemeId][key] += group._sum.amount || 0;
+  });
+
+  const totals = Object.values(byMembership);
+  return {
+    accruedPenalty: totals.reduce((sum, total) => sum + total.accruedPenalty, 0),
+    waivedPenalty: totals.reduce((sum, total) => sum + total.waivedPenalty, 0),
+    byMembership
+  };
+};
+
+const waivePenalty = async (prisma, penaltyId, userId, reason) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.penalty.updateMany({
+      where: { id: penaltyId, waivedAt: null },
+      data: {
+        waivedAt: new Date(),
+        waivedById: userId,
+        waiverReason: reason
+      }
+    });
+
+    if (count === 0) {
+      const penalty = await tx.penalty.findUnique({
+        where: { id: penaltyId },
+        select: { id: true }
+      });
+      if (!penalty) {
+        throw new ApiError(404, 'Penalty not found');
+      }
+      throw new ApiError(400, 'Penalty has already been waived');
+    }
+
+    const penalty = await tx.penalty.findUnique({
+      where: { id: penaltyId },
+      include: {
+        waivedBy: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    });
+
+    await postPenaltyWaiver(tx, penalty, userId);
+    return penalty;
+  });
+};
+
+module.exports = {
+  calculatePenalties,
+  accruePenalties,
+  pendingPenalties,
+  penaltyTotals,
+  waivePenalty
+};
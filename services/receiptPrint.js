@@ -0,0 +1,170 @@
+const {
+  formatValue,
+  createPdf,
+  drawLetterhead,
+  contentWidth
+} = require('./reportExport');
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Rupees in words the Indian way: 1,25,000 -> One Lakh Twenty Five Thousand Rupees Only
+const amountInWords = (amount) => {
+  let n = Math.floor(Math.abs(amount));
+  if (n === 0) {
+    return 'Zero Rupees Only';
+  }
+
+  const parts = [];
+  [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']].forEach(([unit, name]) => {
+    const count = Math.floor(n / unit);
+    if (count > 0) {
+      parts.push(`${unit === 10000000 ? amountInWords(count).replace(' Rupees Only', '') : belowHundred(count)} ${name}`);
+      n %= unit;
+    }
+  });
+  if (n > 0) {
+    parts.push(belowThousand(n));
+  }
+
+  return `${parts.join(' ')} Rupees Only`;
+};
+
+const PAYMENT_METHODS = {
+  CASH: 'Cash',
+  BANK_TRANSFER: 'Bank transfer',
+  UPI: 'UPI',
+  CHEQUE: 'Cheque'
+};
+
+const dateTime = (date) => (
+  `${formatValue(date, 'date')} ${new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`
+);
+
+// Label/value lines shared by the PDF and the thermal printout
+const receiptLines = (receipt) => [
+  ['Receipt No', receipt.number],
+  ['Issued', dateTime(receipt.issuedAt)],
+  ['Member', receipt.customerName],
+  ['Mobile', receipt.customerMobile],
+  ['Scheme', receipt.schemeName],
+  ['Ticket No', receipt.ticketNumber ? String(receipt.ticketNumber) : null],
+  ['Payment Date', formatValue(receipt.paymentDate, 'date')],
+  ['Mode', PAYMENT_METHODS[receipt.paymentMethod] || receipt.paymentMethod],
+  ['Received By', receipt.issuedBy ? receipt.issuedBy.name : null]
+].filter(([, value]) => value);
+
+const wrap = (text, width) => {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).forEach(word => {
+    if (line && `${line} ${word}`.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+const center = (text, width) => {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return `${' '.repeat(padding)}${text}`;
+};
+
+// Plain text for a thermal receipt printer, `width` characters wide
+const receiptText = (receipt, { company, width = 32 }) => {
+  const rule = '-'.repeat(width);
+  const pair = (label, value) => {
+    const gap = width - label.length - value.length;
+    return gap >= 1 ? `${label}${' '.repeat(gap)}${value}` : `${label}\n${' '.repeat(Math.max(0, width - value.length))}${value}`;
+  };
+
+  const lines = [
+    ...wrap(company.name.toUpperCase(), width).map(line => center(line, width)),
+    ...company.lines.flatMap(line => wrap(line, width).map(part => center(part, width))),
+    rule,
+    center('PAYMENT RECEIPT', width),
+    rule,
+    ...receiptLines(receipt).map(([label, value]) => pair(`${label}:`, value)),
+    rule,
+    pair('AMOUNT:', `Rs. ${formatValue(receipt.amount, 'amount')}`),
+    ...wrap(amountInWords(receipt.amount), width),
+    rule
+  ];
+
+  if (receipt.status === 'CANCELLED') {
+    lines.push(center('*** CANCELLED ***', width));
+    lines.push(...wrap(`Reason: ${receipt.cancellationReason}`, width));
+    lines.push(rule);
+  }
+
+  lines.push(center('Thank you', width), '', '');
+  return lines.join('\n');
+};
+
+// A5 receipt with the letterhead; cancelled receipts carry a VOID stamp
+const writeReceiptPdf = (res, receipt) => {
+  const doc = createPdf(res, { size: 'A5' });
+  drawLetterhead(doc);
+
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  doc.font('Helvetica-Bold').fontSize(13).text('PAYMENT RECEIPT', { align: 'center' });
+  doc.moveDown(0.75);
+
+  receiptLines(receipt).forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, left, y, { width: 100 });
+    doc.font('Helvetica').text(value, left + 100, y, { width: width - 100 });
+    doc.y = Math.max(doc.y, y + 15);
+  });
+
+  doc.moveDown();
+  const boxTop = doc.y;
+  doc.rect(left, boxTop, width, 50).lineWidth(1).stroke('#000000');
+  doc.font('Helvetica-Bold').fontSize(14)
+    .text(`Amount Received: Rs. ${formatValue(receipt.amount, 'amount')}`, left + 10, boxTop + 10, { width: width - 20 });
+  doc.font('Helvetica').fontSize(9)
+    .text(amountInWords(receipt.amount), left + 10, boxTop + 30, { width: width - 20 });
+  doc.x = left;
+  doc.y = boxTop + 60;
+
+  if (receipt.status === 'CANCELLED') {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#b00020')
+      .text(`Cancelled on ${dateTime(receipt.cancelledAt)}: ${receipt.cancellationReason}`, left, doc.y, { width });
+
+    doc.save();
+    doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+    doc.font('Helvetica-Bold').fontSize(72).fillOpacity(0.2)
+      .text('VOID', 0, doc.page.height / 2 - 36, { width: doc.page.width, align: 'center' });
+    doc.restore();
+    doc.fillColor('black');
+  }
+
+  const signatureY = doc.page.height - doc.page.margins.bottom - 40;
+  doc.moveTo(left + width - 160, signatureY).lineTo(left + width, signatureY).lineWidth(0.5).stroke('#000000');
+  doc.font('Helvetica').fontSize(9).fillColor('black')
+    .text('Authorised Signatory', left + width - 160, signatureY + 5, { width: 160, align: 'center' });
+
+  doc.end();
+};
+
+module.exports = {
+  amountInWords,
+  receiptText,
+  writeReceiptPdf
+};
@@ -0,0 +1,162 @@
+const { ApiError } = require('../utils/errors');
+
+// Branch for payments that are not attributed to a scheme
+const DEFAULT_BRANCH = 'MAIN';
+
+// India Standard Time, UTC+5:30, whatever timezone the server runs in
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial year (April to March) a date falls in, e.g. 2026-27,
+// going by the date in India
+const financialYear = (date) => {
+  const day = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = day.getUTCMonth() >= 3 ? day.getUTCFullYear() : day.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// MAIN-2627-000042: branch, financial year and the number within it
+const receiptNumber = (branchCode, year, sequence) => (
+  `${branchCode}-${year.replace('-', '').slice(2)}-${String(sequence).padStart(6, '0')}`
+);
+
+// Take the next number in a branch's sequence for the year. The counter row
+// stays locked until the transaction ends, so a payment that fails and rolls
+// back gives its number back and the sequence has no gaps.
+const nextSequence = async (tx, branchCode, year) => {
+  const counter = await tx.receiptSequence.upsert({
+    where: {
+      branchCode_financialYear: { branchCode, financialYear: year }
+    },
+    create: { branchCode, financialYear: year, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } }
+  });
+  return counter.lastNumber;
+};
+
+// Issue a receipt for a payment ({ sourceType, sourceId, customerId,
+// customerSchemeId, amount, paymentMethod, date }). Nothing is issued for
+// NOT_PAID or zero amounts.
+const issueReceipt = async (tx, payment, issuedById) => {
+  if (!payment.amount || payment.amount <= 0 || payment.paymentMethod === 'NOT_PAID') {
+    return null;
+  }
+
+  const customerScheme = payment.customerSchemeId
+    ? await tx.customerScheme.findUnique({
+      where: { id: payment.customerSchemeId },
+      include: { customer: true, scheme: true }
+    })
+    : null;
+  const customer = customerScheme
+    ? customerScheme.customer
+    : await tx.customer.findUnique({ where: { id: payment.customerId } });
+
+  const branchCode = customerScheme ? customerScheme.scheme.branchCode : DEFAULT_BRANCH;
+  const issuedAt = new Date();
+  const year = financialYear(issuedAt);
+  const sequence = await nextSequence(tx, branchCode, year);
+
+  return tx.receipt.create({
+    data: {
+      number: receiptNumber(branchCode, year, sequence),
+      branchCode,
+      financialYear: year,
+      sequence,
+      sourceType: payment.sourceType,
+      sourceId: payment.sourceId,
+      customerSchemeId: payment.customerSchemeId || null,
+      customerName: customer.name,
+      customerMobile: customer.mobile,
+      schemeName: customerScheme ? customerScheme.scheme.name : null,
+      ticketNumber: customerScheme ? customerScheme.ticketNumber : null,
+      amount: payment.amount,
+      paymentMethod: payment.paymentMethod,
+      paymentDate: new Date(payment.date),
+      issuedAt,
+      issuedById
+    }
+  });
+};
+
+const collectionPayment = (collection) => ({
+  sourceType: 'COLLECTION',
+  sourceId: collection.id,
+  customerId: collection.customerId,
+  customerSchemeId: collection.customerSchemeId,
+  amount: collection.amountPaid,
+  paymentMethod: collection.paymentMethod,
+  date: collection.date
+});
+
+// `amount` is what the entry takes off the membership balance
+const passbookPayment = (entry, amount) => ({
+  sourceType: 'PASSBOOK',
+  sourceId: entry.id,
+  customerSchemeId: entry.customerSchemeId,
+  amount,
+  paymentMethod: entry.paymentMethod,
+  date: entry.date
+});
+
+// Void a receipt; the number stays in the sequence
+const cancelReceipt = async (tx, number, cancelledById, reason) => {
+  const { count } = await tx.receipt.updateMany({
+    where: { number, status: 'ISSUED' },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: new Date(),
+      cancelledById,
+      cancellationReason: reason
+    }
+  });
+
+  if (count === 0) {
+    const receipt = await tx.receipt.findUnique({
+      where: { number },
+      select: { id: true }
+    });
+    if (!receipt) {
+      throw new ApiError(404, 'Receipt not found');
+    }
+    throw new ApiError(400, 'Receipt has already been cancelled');
+  }
+
+  return tx.receipt.findUnique({ where: { number } });
+};
+
+// Keep a payment's receipt in line after the payment changes. A receipt that
+// no longer matches is cancelled with `reason` and, while the payment still
+// stands, replaced by a new one.
+const syncReceipt = async (tx, payment, userId, reason) => {
+  const current = await tx.receipt.findFirst({
+    where: {
+      sourceType: payment.sourceType,
+      sourceId: payment.sourceId,
+      status: 'ISSUED'
+    }
+  });
+
+  if (current &&
+    current.amount === payment.amount &&
+    current.paymentMethod === payment.paymentMethod &&
+    current.paymentDate.getTime() === new Date(payment.date).getTime() &&
+    current.customerSchemeId === (payment.customerSchemeId || null)) {
+    return current;
+  }
+
+  if (current) {
+    await cancelReceipt(tx, current.number, userId, reason);
+  }
+
+  return issueReceipt(tx, payment, userId);
+};
+
+module.exports = {
+  financialYear,
+  receiptNumber,
+  issueReceipt,
+  collectionPayment,
+  passbookPayment,
+  cancelReceipt,
+  syncReceipt
+};
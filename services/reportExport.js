@@ -0,0 +1,307 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { letterhead } = require('../utils/company');
+
+// Formats a report can be downloaded in, alongside the default JSON
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Lakh/crore digit grouping (1,23,45,678) for spreadsheet cells. A number
+// format holds at most two conditions, which leaves no room for negatives,
+// so the grouping is picked per value and the second section adds the sign.
+const EXCEL_GROUPINGS = [
+  { from: 10000000, format: '##\\,##\\,##\\,##0' },
+  { from: 100000, format: '##\\,##\\,##0' },
+  { from: 0, format: '#,##0' }
+];
+
+const excelNumberFormat = (value) => {
+  const size = Math.abs(Number(value) || 0);
+  const { format } = EXCEL_GROUPINGS.find(grouping => size >= grouping.from);
+  return `${format};-${format}`;
+};
+
+const NUMERIC_TYPES = ['amount', 'number', 'percent'];
+
+const indianNumber = new Intl.NumberFormat('en-IN', { maximumFractionDigits: 2 });
+
+// A cell as text: numbers grouped the Indian way and dates as DD/MM/YYYY
+const formatValue = (value, type) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  switch (type) {
+    case 'amount':
+    case 'number':
+      return indianNumber.format(Number(value));
+    case 'percent':
+      return `${indianNumber.format(Number(value))}%`;
+    case 'date':
+      return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    default:
+      return String(value);
+  }
+};
+
+const csvCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+// Spreadsheet apps run text starting with = + - or @ as a formula, so such
+// text gets a leading apostrophe. Numbers are formatted here and left alone.
+const csvValue = (value, type) => {
+  const text = formatValue(value, type);
+  return csvCell(!NUMERIC_TYPES.includes(type) && /^[=+\-@]/.test(text) ? `'${text}` : text);
+};
+
+const writeCsv = (res, report) => {
+  const { columns, rows, summary = [] } = report;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write('\uFEFF');
+  res.write(`${columns.map(column => csvCell(column.label)).join(',')}\r\n`);
+  rows.forEach(row => {
+    res.write(`${columns.map(column => csvValue(row[column.key], column.type)).join(',')}\r\n`);
+  });
+
+  if (summary.length > 0) {
+    res.write('\r\n');
+    summary.forEach(item => {
+      res.write(`${csvCell(item.label)},${csvValue(item.value, item.type)}\r\n`);
+    });
+  }
+
+  res.end();
+};
+
+const excelFormat = (type, value) => {
+  if (type === 'amount' || type === 'number') return excelNumberFormat(value);
+  if (type === 'percent') return '0.0"%"';
+  if (type === 'date') return 'dd/mm/yyyy';
+  return undefined;
+};
+
+const excelValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (NUMERIC_TYPES.includes(type)) return Number(value);
+  if (type === 'date') return new Date(value);
+  return String(value);
+};
+
+const writeXlsx = async (res, report) => {
+  const { title, subtitle, columns, rows, summary = [] } = report;
+
+  // The streaming writer leaves out number formats and fonts unless asked
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+
+  sheet.columns = columns.map(column => ({
+    key: column.key,
+    width: Math.max(12, column.label.length + 4),
+    style: { numFmt: excelFormat(column.type) }
+  }));
+
+  sheet.addRow([title]).font = { bold: true, size: 13 };
+  if (subtitle) {
+    sheet.addRow([subtitle]);
+  }
+  sheet.addRow([]);
+
+  const header = sheet.addRow(columns.map(column => column.label));
+  header.font = { bold: true };
+  header.commit();
+
+  rows.forEach(row => {
+    const sheetRow = sheet.addRow(columns.map(column => excelValue(row[column.key], column.type)));
+    columns.forEach((column, index) => {
+      sheetRow.getCell(index + 1).numFmt = excelFormat(column.type, row[column.key]);
+    });
+    sheetRow.commit();
+  });
+
+  if (summary.length > 0) {
+    sheet.addRow([]);
+    summary.forEach(item => {
+      const summaryRow = sheet.addRow([item.label, excelValue(item.value, item.type)]);
+      summaryRow.font = { bold: true };
+      summaryRow.getCell(2).numFmt = excelFormat(item.type, item.value);
+      summaryRow.commit();
+    });
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const PDF_MARGIN = 40;
+const CELL_PADDING = 4;
+
+// Document streamed to the response; pages are buffered so page numbers can be added at the end
+const createPdf = (res, { size = 'A4', layout = 'portrait' } = {}) => {
+  const doc = new PDFDocument({
+    size,
+    layout,
+    margin: PDF_MARGIN,
+    bufferPages: true
+  });
+  doc.pipe(res);
+  return doc;
+};
+
+// Lowest point content may reach, leaving room for the page number
+const pageBottom = (doc) => doc.page.height - PDF_MARGIN - 20;
+
+const contentWidth = (doc) => doc.page.width - PDF_MARGIN * 2;
+
+const drawLetterhead = (doc) => {
+  const company = letterhead();
+
+  doc.font('Helvetica-Bold').fontSize(16).text(company.name, { align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  company.lines.forEach(line => doc.text(line, { align: 'center' }));
+  doc.moveDown(0.5);
+  doc.moveTo(PDF_MARGIN, doc.y).lineTo(PDF_MARGIN + contentWidth(doc), doc.y).stroke();
+  doc.moveDown(0.75);
+};
+
+// Table of rows keyed by column, carried over to new pages with its header repeated
+const drawTable = (doc, columns, rows) => {
+  const left = PDF_MARGIN;
+  const tableWidth = contentWidth(doc);
+
+  // Columns share the width in proportion to their `width` weight
+  const weights = columns.map(column => column.width || 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const widths = weights.map(weight => (tableWidth * weight) / totalWeight);
+
+  const drawRow = (cells, { header = false, bold = false } = {}) => {
+    doc.font(header || bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((text, index) => (
+      doc.heightOfString(text, { width: widths[index] - CELL_PADDING * 2 })
+    ))) + CELL_PADDING * 2;
+
+    if (doc.y + height > pageBottom(doc)) {
+      doc.addPage();
+      if (!header) drawHeader();
+    }
+
+    const top = doc.y;
+    if (header) {
+      doc.rect(left, top, tableWidth, height).fill('#eeeeee').fillColor('black');
+    }
+
+    let x = left;
+    cells.forEach((text, index) => {
+      const numeric = NUMERIC_TYPES.includes(columns[index].type);
+      doc.text(text, x + CELL_PADDING, top + CELL_PADDING, {
+        width: widths[index] - CELL_PADDING * 2,
+        align: numeric && !header ? 'right' : 'left'
+      });
+      x += widths[index];
+    });
+
+    doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height).lineWidth(0.5).stroke('#cccccc');
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.label), { header: true });
+
+  drawHeader();
+  rows.forEach(row => {
+    drawRow(columns.map(column => formatValue(row[column.key], column.type)), { bold: row.bold });
+  });
+};
+
+// Page numbers go in the bottom margin, so lift the margin while writing them
+const numberPages = (doc, label) => {
+  const pages = doc.bufferedPageRange();
+  for (let index = 0; index < pages.count; index++) {
+    doc.switchToPage(pages.start + index);
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text(`${label} - Page ${index + 1} of ${pages.count}`, PDF_MARGIN, doc.page.height - PDF_MARGIN + 10, {
+        width: contentWidth(doc),
+        align: 'center'
+      });
+  }
+  doc.fillColor('black');
+};
+
+const writePdf = (res, report) => {
+  const { title, subtitle, columns, rows, summary = [] } = report;
+
+  const doc = createPdf(res, { layout: columns.length > 6 ? 'landscape' : 'portrait' });
+  drawLetterhead(doc);
+
+  doc.font('Helvetica-Bold').fontSize(13).text(title);
+  doc.font('Helvetica').fontSize(9);
+  if (subtitle) {
+    doc.text(subtitle);
+  }
+  doc.fillColor('#555555')
+    .text(`Generated on ${formatValue(new Date(), 'date')} ${new Date().toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}. Amounts in Indian Rupees.`)
+    .fillColor('black');
+  doc.moveDown();
+
+  drawTable(doc, columns, rows);
+
+  if (rows.length === 0) {
+    doc.moveDown().font('Helvetica').fontSize(9).text('No records for this period.');
+  }
+
+  if (summary.length > 0) {
+    doc.moveDown();
+    summary.forEach(item => {
+      if (doc.y + 14 > pageBottom(doc)) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(9)
+        .text(`${item.label}: ${formatValue(item.value, item.type)}`, PDF_MARGIN, doc.y, { width: contentWidth(doc), align: 'right' });
+    });
+  }
+
+  numberPages(doc, `${letterhead().name} - ${title}`);
+  doc.end();
+};
+
+const setDownloadHeaders = (res, format, name) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.${format}"`);
+};
+
+// Stream a report as a file download. A report is a title, its columns
+// ({ key, label, type: text|amount|number|percent|date, width }), flat rows
+// keyed by column and optional summary lines ({ label, value, type }).
+const sendReport = async (res, format, report) => {
+  setDownloadHeaders(res, format, `${report.filename}-${new Date().toISOString().split('T')[0]}`);
+
+  try {
+    if (format === 'csv') {
+      writeCsv(res, report);
+    } else if (format === 'xlsx') {
+      await writeXlsx(res, report);
+    } else {
+      writePdf(res, report);
+    }
+  } catch (error) {
+    // Part of the file may already be on its way, so the error can no longer be sent as JSON
+    console.error(`Report export (${format}) error:`, error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatValue,
+  createPdf,
+  drawLetterhead,
+  drawTable,
+  numberPages,
+  pageBottom,
+  contentWidth,
+  setDownloadHeaders,
+  sendReport
+};
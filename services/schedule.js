@@ -0,0 +1,137 @@
+// Installment schedules are stored as GENERATED passbook entries, one per due
+// date. On these rows `dailyPayment` is the installment due and `amount` is 0;
+// actual payments are recorded as separate MANUAL entries.
+
+const { applyToSchedule } = require('./dividends');
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Due date of the n-th installment counted from the start date. Monthly dates
+// are clamped to the end of short months so the 31st does not drift.
+const installmentDate = (startDate, paymentType, index) => {
+  const start = new Date(startDate);
+
+  if (paymentType === 'MONTHLY') {
+    const due = new Date(start);
+    due.setDate(1);
+    due.setMonth(start.getMonth() + index);
+    due.setDate(Math.min(start.getDate(), daysInMonth(due.getFullYear(), due.getMonth())));
+    return due;
+  }
+
+  const due = new Date(start);
+  due.setDate(start.getDate() + index);
+  return due;
+};
+
+// Same end date calculation the scheme routes use
+const schemeEndDate = (scheme) => {
+  if (scheme.endDate) {
+    return new Date(scheme.endDate);
+  }
+
+  const endDate = new Date(scheme.startDate);
+  if (scheme.durationType === 'MONTHS') {
+    endDate.setMonth(endDate.getMonth() + scheme.duration);
+  } else {
+    endDate.setDate(endDate.getDate() + scheme.duration);
+  }
+  return endDate;
+};
+
+const defaultInstallmentAmount = (scheme, customerScheme) => {
+  const schemeAmount = scheme.paymentType === 'MONTHLY' ? scheme.monthlyPayment : scheme.dailyPayment;
+  return schemeAmount ?? customerScheme.amountPerDay;
+};
+
+// Passbook rows for every installment due over the scheme's lifetime,
+// optionally only those falling after a given date
+const buildInstallments = (scheme, customerScheme, { after, installmentAmount } = {}) => {
+  const amount = installmentAmount ?? defaultInstallmentAmount(scheme, customerScheme);
+  const endDate = schemeEndDate(scheme);
+  const installments = [];
+
+  for (let index = 0; ; index++) {
+    const due = installmentDate(scheme.startDate, scheme.paymentType, index);
+    if (due >= endDate) break;
+    if (after && due <= after) continue;
+
+    installments.push({
+      customerSchemeId: customerScheme.id,
+      month: due.getMonth() + 1,
+      date: due,
+      dailyPayment: amount,
+      amount: 0,
+      chittiAmount: 0,
+      type: 'GENERATED',
+      paymentMethod: 'NOT_PAID',
+      paymentFrequency: scheme.paymentType,
+      chitLifting: 'NO'
+    });
+  }
+
+  return installments;
+};
+
+// Create the full installment schedule for a new membership
+const generateSchedule = async (tx, scheme, customerScheme) => {
+  const installments = buildInstallments(scheme, customerScheme);
+  await tx.passbookEntry.createMany({ data: installments });
+  return installments.length;
+};
+
+// Replace the installments due after `after` for every member of the scheme,
+// e.g. when an auction changes the installment amount, and move each
+// membership balance by the change in what is still due. Dividends already
+// taken off the replaced rows are applied again to the new ones.
+const regenerateRemainingSchedule = async (tx, scheme, { after, installmentAmount }) => {
+  const customerSchemes = await tx.customerScheme.findMany({
+    where: { schemeId: scheme.id }
+  });
+
+  let regenerated = 0;
+  for (const customerScheme of customerSchemes) {
+    const where = {
+      customerSchemeId: customerScheme.id,
+      type: 'GENERATED',
+      date: { gt: after }
+    };
+
+    const previous = await tx.passbookEntry.aggregate({
+      where,
+      _sum: { dailyPayment: true, dividendCredit: true }
+    });
+    await tx.passbookEntry.deleteMany({ where });
+
+    const installments = buildInstallments(scheme, customerScheme, { after, installmentAmount });
+    await tx.passbookEntry.createMany({ data: installments });
+
+    const credited = previous._sum.dividendCredit || 0;
+    const reapplied = credited > 0 ? await applyToSchedule(tx, customerScheme.id, after, credited) : 0;
+
+    const previousDue = previous._sum.dailyPayment || 0;
+    const newDue = installments.reduce((sum, installment) => sum + installment.dailyPayment, 0) - reapplied;
+    if (newDue !== previousDue) {
+      await tx.customerScheme.update({
+        where: { id: customerScheme.id },
+        data: {
+          balance: {
+            increment: newDue - previousDue
+          }
+        }
+      });
+    }
+
+    regenerated += installments.length;
+  }
+
+  return regenerated;
+};
+
+module.exports = {
+  installmentDate,
+  schemeEndDate,
+  buildInstallments,
+  generateSchedule,
+  regenerateRemainingSchedule
+};
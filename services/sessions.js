@@ -0,0 +1,193 @@
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../utils/errors');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Access tokens are short-lived; a session is kept alive by refreshing
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+
+// How stale a session's last-used time may get before a request updates it
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const refreshExpiry = (from) => new Date(from.getTime() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTtl() }
+);
+
+// Browsers' EventSource cannot send an Authorization header, so an event
+// stream is opened with a token passed in its URL instead. Such a token is
+// tied to one stream and lasts only long enough to connect.
+const STREAM_TOKEN_TTL = '1m';
+
+const signStreamToken = (user, sessionId, resource) => ({
+  token: jwt.sign(
+    {
+      userId: user.id,
+      sessionId,
+      purpose: 'stream',
+      resource
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL }
+  ),
+  expiresIn: STREAM_TOKEN_TTL
+});
+
+// Tokens returned to the client after signing in or refreshing
+const sessionTokens = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  refreshToken,
+  expiresIn: accessTokenTtl()
+});
+
+const client = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+// Start a session for a user who has just proven who they are. Sessions
+// record whether sign-in included the second factor.
+const createSession = async (prisma, user, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = generateToken();
+  const now = new Date();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(now),
+      lastUsedAt: now,
+      twoFactorVerified,
+      ...client(req)
+    }
+  });
+
+  return { session, ...sessionTokens(user, session.id, refreshToken) };
+};
+
+const revokeSession = (prisma, where, reason) => prisma.session.updateMany({
+  where: { ...where, revokedAt: null },
+  data: { revokedAt: new Date(), revokedReason: reason }
+});
+
+// End every open session of a user, except `exceptSessionId` if given
+const revokeUserSessions = (prisma, userId, reason, exceptSessionId) => revokeSession(prisma, {
+  userId,
+  ...(exceptSessionId && { id: { not: exceptSessionId } })
+}, reason);
+
+// Mark a session as used by the current request, at most every few minutes
+const touchSession = (prisma, session, req) => {
+  if (Date.now() - session.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return null;
+  }
+  return prisma.session.update({
+    where: { id: session.id },
+    data: { lastUsedAt: new Date(), ...client(req) }
+  });
+};
+
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']];
+const PLATFORMS = [[/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Windows/, 'Windows'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+// Short description of the device behind a user agent, e.g. "Chrome on Android"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const match = (patterns) => (patterns.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || userAgent.slice(0, 60);
+};
+
+// Open sessions of a user, most recently used first, as shown to people
+const listSessions = async (prisma, userId, currentSessionId) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      id: true,
+      ipAddress: true,
+      userAgent: true,
+      lastUsedAt: true,
+      createdAt: true,
+      expiresAt: true
+    }
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    device: describeDevice(session.userAgent),
+    current: session.id === currentSessionId
+  }));
+};
+
+// Swap a refresh token for a new access token and refresh token. Each refresh
+// token works once; presenting one that was already swapped means it has been
+// copied, so the whole session is revoked.
+const rotateSession = async (prisma, refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: true }
+  });
+
+  if (!session) {
+    const { count } = await revokeSession(prisma, { previousTokenHash: tokenHash }, 'Refresh token reused');
+    throw new ApiError(401, count > 0 ? 'Session has been revoked' : 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  if (session.revokedAt || session.expiresAt <= now) {
+    throw new ApiError(401, 'Session has expired, please sign in again');
+  }
+  if (!session.user.isActive) {
+    throw new ApiError(401, 'Account is deactivated');
+  }
+
+  const nextToken = generateToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: now,
+      ...client(req)
+    }
+  });
+
+  // Another request rotated the token first
+  if (count === 0) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  return sessionTokens(session.user, session.id, nextToken);
+};
+
+module.exports = {
+  createSession,
+  signStreamToken,
+  touchSession,
+  listSessions,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
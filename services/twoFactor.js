@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { ApiError } = require('../utils/errors');
+const { letterhead } = require('../utils/company');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+// Backup codes avoid characters that are easily confused when typed
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+// Time allowed between the password and the second factor at sign-in
+const LOGIN_TOKEN_TTL = '5m';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || letterhead().name;
+
+// Roles that must sign in with a second factor, e.g. TWO_FACTOR_REQUIRED_ROLES=ADMIN
+const requiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim().toUpperCase())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (role) => requiredRoles().includes(role);
+
+// Short-lived token proving the password was right, exchanged for a session
+// once the second factor is verified. It names no session, so it is refused
+// everywhere else.
+const signLoginToken = (user) => jwt.sign(
+  { userId: user.id, purpose: 'two-factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_TOKEN_TTL }
+);
+
+const verifyLoginToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose === 'two-factor') {
+      return decoded.userId;
+    }
+  } catch (error) {
+    // Expired or tampered tokens are reported below like any other invalid token
+  }
+  throw new ApiError(401, 'Sign-in has expired, please enter your password again');
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const randomBackupCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Replace a user's backup codes with a fresh set, returned once in plain text
+const generateBackupCodes = async (tx, userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, randomBackupCode);
+
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await tx.twoFactorBackupCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashToken(normalizeBackupCode(code)) }))
+  });
+
+  return codes;
+};
+
+// Accept an authenticator code once: a code's time step must be later than
+// the last one used, so an observed code cannot be replayed
+const consumeCode = async (tx, user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const counter = verifyCode(user.twoFactorSecret, code);
+  if (counter === null) return false;
+
+  const { count } = await tx.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastCounter: null },
+        { twoFactorLastCounter: { lt: counter } }
+      ]
+    },
+    data: { twoFactorLastCounter: counter }
+  });
+  return count > 0;
+};
+
+const consumeBackupCode = async (tx, userId, backupCode) => {
+  const { count } = await tx.twoFactorBackupCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeBackupCode(backupCode)),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+  return count > 0;
+};
+
+// Check the second factor: an authenticator code or, failing that, an unused backup code
+const verifySecondFactor = async (tx, user, { code, backupCode }) => {
+  if (code) return consumeCode(tx, user, code);
+  if (backupCode) return consumeBackupCode(tx, user.id, backupCode);
+  return false;
+};
+
+// Start enrollment with a new secret, shown as a QR code for the authenticator app.
+// Two-factor stays off until a code from the secret is confirmed.
+const startEnrollment = async (prisma, user) => {
+  if (user.twoFactorEnabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: secret,
+      twoFactorLastCounter: null
+    }
+  });
+
+  const url = otpauthUrl(secret, user.email, issuer());
+  return {
+    secret,
+    otpauthUrl: url,
+    qrCode: await QRCode.toDataURL(url)
+  };
+};
+
+// Finish enrollment with a code from the new secret; returns the backup codes
+const enableTwoFactor = async (tx, user, code) => {
+  if (user.twoFactorEnabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new ApiError(400, 'Start two-factor setup first');
+  }
+  if (!(await consumeCode(tx, user, code))) {
+    throw new ApiError(400, 'Invalid authentication code');
+  }
+
+  await tx.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date()
+    }
+  });
+
+  return generateBackupCodes(tx, user.id);
+};
+
+const disableTwoFactor = async (tx, userId) => {
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  return tx.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastCounter: null
+    }
+  });
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signLoginToken,
+  verifyLoginToken,
+  generateBackupCodes,
+  verifySecondFactor,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor
+};
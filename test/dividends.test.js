@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDividends, distributeDividends } = require('../services/dividends');
+const { regenerateRemainingSchedule } = require('../services/schedule');
+const { memoryDb } = require('./support/memoryDb');
+const { ledgerDb, balances } = require('./support/ledgerDb');
+
+const chitScheme = { id: 's1', chitValue: 100000, commissionRate: 0.05 };
+
+const members = [
+  { id: 'cs1', customerId: 'c1', schemeId: 's1', status: 'ACTIVE', balance: 10000 },
+  { id: 'cs2', customerId: 'c2', schemeId: 's1', status: 'ACTIVE', balance: 10000 },
+  { id: 'cs3', customerId: 'c3', schemeId: 's1', status: 'ACTIVE', balance: 10000 },
+  { id: 'cs4', customerId: 'c4', schemeId: 's1', status: 'INACTIVE', balance: 10000 }
+];
+
+test('the discount less commission is shared equally by active non-winners', () => {
+  const auction = { discountAmount: 20001, winningMemberId: 'c1' };
+  const { commissionAmount, dividendPool, perMember, beneficiaries } = calculateDividends(chitScheme, auction, members);
+
+  assert.equal(commissionAmount, 5000);
+  assert.equal(dividendPool, 15001);
+  assert.deepEqual(beneficiaries.map(cs => cs.id), ['cs2', 'cs3']);
+  assert.equal(perMember, 7500);
+});
+
+test('a discount below the commission goes entirely to the foreman', () => {
+  const { commissionAmount, perMember } = calculateDividends(chitScheme, { discountAmount: 3000, winningMemberId: 'c1' }, members);
+
+  assert.equal(commissionAmount, 3000);
+  assert.equal(perMember, 0);
+});
+
+const auctionDate = new Date('2026-03-01');
+const month = (n) => new Date(Date.UTC(2026, 2 + n, 1));
+
+const dividendsDb = () => ({
+  ...memoryDb({
+    auction: {
+      rows: [{
+        id: 'a1',
+        chitSchemeId: 's1',
+        auctionDate,
+        discountAmount: 20000,
+        winningMemberId: 'c1',
+        dividendAmount: null,
+        chitScheme,
+        _count: { dividends: 0 }
+      }]
+    },
+    customerScheme: { rows: members.map(member => ({ ...member })) },
+    dividend: { unique: [['auctionId', 'customerSchemeId']] },
+    passbookEntry: {
+      rows: members.flatMap(member => [1, 2].map(n => ({
+        id: `${member.id}-${n}`,
+        customerSchemeId: member.id,
+        type: 'GENERATED',
+        date: month(n),
+        dailyPayment: 5000
+      })))
+    }
+  }),
+  ...ledgerDb()
+});
+
+const installmentsOf = (db, customerSchemeId) => db.passbookEntry.rows
+  .filter(entry => entry.customerSchemeId === customerSchemeId)
+  .map(entry => entry.dailyPayment);
+
+test('dividends reduce the next installments and balance of each beneficiary', async () => {
+  const db = dividendsDb();
+
+  const auction = await distributeDividends(db, 'a1');
+
+  assert.equal(auction.commissionAmount, 5000);
+  assert.equal(auction.dividendAmount, 15000);
+  assert.deepEqual(db.dividend.rows.map(dividend => [dividend.customerSchemeId, dividend.amount]), [
+    ['cs2', 7500],
+    ['cs3', 7500]
+  ]);
+  // 7,500 covers the next 5,000 installment and 2,500 of the one after
+  assert.deepEqual(installmentsOf(db, 'cs2'), [0, 2500]);
+  assert.deepEqual(installmentsOf(db, 'cs1'), [5000, 5000]);
+  assert.equal(db.customerScheme.rows.find(cs => cs.id === 'cs2').balance, 2500);
+  assert.deepEqual(balances(db.entries), {
+    SUBSCRIBER_FUND: 100000,
+    PRIZE_PAYABLE: -80000,
+    COMMISSION_INCOME: -5000,
+    DIVIDENDS_CREDITED: -15000
+  });
+});
+
+test('distributing the same auction again changes nothing', async () => {
+  const db = dividendsDb();
+
+  await distributeDividends(db, 'a1');
+  const entries = db.entries.length;
+  await distributeDividends(db, 'a1');
+
+  assert.equal(db.dividend.rows.length, 2);
+  assert.equal(db.entries.length, entries);
+  assert.deepEqual(installmentsOf(db, 'cs2'), [0, 2500]);
+});
+
+// Installments on the 1st of April and May, as in the fixture
+const schedule = { ...chitScheme, startDate: month(1), duration: 2, durationType: 'MONTHS', paymentType: 'MONTHLY' };
+
+const balanceOf = (db, customerSchemeId) => db.customerScheme.rows.find(cs => cs.id === customerSchemeId).balance;
+
+test('a new installment amount keeps the dividends already distributed', async () => {
+  const db = dividendsDb();
+
+  await distributeDividends(db, 'a1');
+  await regenerateRemainingSchedule(db, schedule, { after: auctionDate, installmentAmount: 4000 });
+
+  // Each beneficiary still has its 7,500 off the rebuilt 4,000 installments
+  assert.deepEqual(installmentsOf(db, 'cs2'), [0, 500]);
+  assert.deepEqual(installmentsOf(db, 'cs3'), [0, 500]);
+  assert.deepEqual(installmentsOf(db, 'cs1'), [4000, 4000]);
+  assert.equal(balanceOf(db, 'cs2'), 500);
+  assert.equal(balanceOf(db, 'cs1'), 8000);
+});
+
+test('only the dividend taken off the rebuilt installments is applied again', async () => {
+  const db = dividendsDb();
+
+  await distributeDividends(db, 'a1');
+  await regenerateRemainingSchedule(db, schedule, { after: month(1), installmentAmount: 4000 });
+
+  // 5,000 stays on the kept April row; the 2,500 from May comes off the new one
+  assert.deepEqual(installmentsOf(db, 'cs2'), [0, 1500]);
+  assert.equal(balanceOf(db, 'cs2'), 1500);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { drawIndex, commitmentOf, commitDraw, drawWinner, verifyDraw } = require('../services/draw');
+const { memoryDb } = require('./support/memoryDb');
+const { ledgerDb } = require('./support/ledgerDb');
+
+const drawDb = () => {
+  const db = {
+    ...memoryDb({
+      auction: {
+        rows: [{
+          id: 'a1',
+          chitSchemeId: 's1',
+          auctionDate: new Date('2026-03-01'),
+          status: 'SCHEDULED',
+          discountAmount: 0,
+          winningMemberId: null,
+          dividendAmount: null,
+          drawSeed: null,
+          drawCandidates: [],
+          drawnAt: null,
+          drawCommitment: null,
+          drawCommittedAt: null,
+          chitScheme: { id: 's1', chitValue: 100000, commissionRate: 0.05, minBidAmount: null, maxBidAmount: 40000 },
+          _count: { dividends: 0 }
+        }]
+      },
+      customerScheme: {
+        rows: [1, 2, 3, 4].map(ticketNumber => ({
+          id: `cs${ticketNumber}`,
+          customerId: `c${ticketNumber}`,
+          schemeId: 's1',
+          ticketNumber,
+          status: 'ACTIVE',
+          prizedAuctionId: ticketNumber === 2 ? 'earlier' : null,
+          balance: 100000,
+          customer: { id: `c${ticketNumber}`, name: `Member ${ticketNumber}` }
+        }))
+      },
+      bid: {},
+      drawSecret: {},
+      dividend: {},
+      passbookEntry: {},
+      payout: {}
+    }),
+    ...ledgerDb()
+  };
+
+  // Prisma loads the relation on `include`; here it is looked up on access
+  Object.defineProperty(db.auction.rows[0], 'drawSecret', {
+    get: () => db.drawSecret.rows.find(secret => secret.auctionId === 'a1') || null
+  });
+
+  return db;
+};
+
+test('the same seed always draws the same position, within range', () => {
+  const seed = 'a'.repeat(64);
+
+  assert.equal(drawIndex(seed, 'a1', 7), drawIndex(seed, 'a1', 7));
+  for (let count = 1; count <= 20; count++) {
+    const index = drawIndex(seed, `auction-${count}`, count);
+    assert.ok(index >= 0 && index < count);
+  }
+});
+
+test('a draw needs a seed committed beforehand', async () => {
+  await assert.rejects(drawWinner(drawDb(), 'a1'), { statusCode: 400, message: 'Commit a draw seed before drawing' });
+});
+
+test('committing publishes only the hash of the seed, once', async () => {
+  const db = drawDb();
+
+  const commitment = await commitDraw(db, 'a1');
+  const [secret] = db.drawSecret.rows;
+
+  assert.equal(commitment.drawCommitment, commitmentOf(secret.seed));
+  assert.equal(db.auction.rows[0].drawSeed, null);
+  await assert.rejects(commitDraw(db, 'a1'), { statusCode: 400 });
+});
+
+test('the draw reveals the committed seed and verifies against it', async () => {
+  const db = drawDb();
+
+  await commitDraw(db, 'a1');
+  const { seed } = db.drawSecret.rows[0];
+  const { auction, winner, candidates } = await drawWinner(db, 'a1', { discountAmount: 10000 });
+
+  // The prized member (ticket 2) is left out of the draw
+  assert.deepEqual(candidates.map(candidate => candidate.ticketNumber), [1, 3, 4]);
+  assert.equal(winner, candidates[drawIndex(seed, 'a1', 3)]);
+  assert.equal(auction.drawSeed, seed);
+  assert.equal(db.drawSecret.rows.length, 0);
+
+  const verification = await verifyDraw(db, 'a1');
+  assert.equal(verification.commitmentMatches, true);
+  assert.equal(verification.verified, true);
+  assert.equal(verification.drawn.customer.id, winner.customer.id);
+});
+
+test('a seed that does not match the commitment fails verification', async () => {
+  const db = drawDb();
+
+  await commitDraw(db, 'a1');
+  await drawWinner(db, 'a1');
+  db.auction.rows[0].drawSeed = 'b'.repeat(64);
+
+  const verification = await verifyDraw(db, 'a1');
+  assert.equal(verification.commitmentMatches, false);
+  assert.equal(verification.verified, false);
+});
+
+test('an auction with bids cannot be decided by draw', async () => {
+  const db = drawDb();
+
+  await commitDraw(db, 'a1');
+  db.bid.rows.push({ id: 'b1', auctionId: 'a1', customerId: 'c1', discountAmount: 12000 });
+
+  await assert.rejects(drawWinner(db, 'a1'), { statusCode: 400, message: /Bids have been placed/ });
+  assert.equal(db.auction.rows[0].status, 'SCHEDULED');
+});
+
+test('the discount on a draw stays within the scheme bid limits', async () => {
+  const db = drawDb();
+  await commitDraw(db, 'a1');
+
+  await assert.rejects(drawWinner(db, 'a1', { discountAmount: -500 }), { statusCode: 400 });
+  await assert.rejects(drawWinner(db, 'a1', { discountAmount: 40001 }), {
+    statusCode: 400,
+    message: 'Discount must be between ₹0 and ₹40000',
+    details: { minimumBid: 0, maximumBid: 40000 }
+  });
+
+  const { auction } = await drawWinner(db, 'a1', { discountAmount: 40000 });
+  assert.equal(auction.discountAmount, 40000);
+});
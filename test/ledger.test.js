@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncPosting, postPassbookPayment, postAuctionResult } = require('../services/ledger');
+const { ledgerDb, balances } = require('./support/ledgerDb');
+
+const payment = (overrides = {}) => ({
+  id: 'pb1',
+  customerSchemeId: 'cs1',
+  date: new Date('2026-05-10'),
+  type: 'MANUAL',
+  amount: 500,
+  paymentMethod: 'CASH',
+  reversed: false,
+  reversalOfId: null,
+  ...overrides
+});
+
+test('a new payment posts one balanced entry dated on the payment', async () => {
+  const db = ledgerDb();
+
+  await postPassbookPayment(db, payment(), 'u1');
+
+  assert.equal(db.entries.length, 1);
+  assert.equal(db.entries[0].date.getTime(), new Date('2026-05-10').getTime());
+  assert.deepEqual(balances(db.entries), { CASH: 500, SUBSCRIBER_FUND: -500 });
+});
+
+test('posting the same payment again writes nothing', async () => {
+  const db = ledgerDb();
+
+  await postPassbookPayment(db, payment(), 'u1');
+  const second = await postPassbookPayment(db, payment(), 'u1');
+
+  assert.equal(second, null);
+  assert.equal(db.entries.length, 1);
+});
+
+test('an amended payment posts only the difference as an adjustment', async () => {
+  const db = ledgerDb();
+
+  await postPassbookPayment(db, payment(), 'u1');
+  await postPassbookPayment(db, payment({ amount: 300, paymentMethod: 'UPI' }), 'u1');
+
+  assert.equal(db.entries.length, 2);
+  assert.match(db.entries[1].description, /^Adjustment: /);
+  assert.deepEqual(balances([db.entries[1]]), { CASH: -500, BANK: 300, SUBSCRIBER_FUND: 200 });
+  assert.deepEqual(balances(db.entries), { BANK: 300, SUBSCRIBER_FUND: -300 });
+});
+
+test('a reversed payment is undone and NOT_PAID entries post nothing', async () => {
+  const db = ledgerDb();
+
+  await postPassbookPayment(db, payment(), 'u1');
+  await postPassbookPayment(db, payment({ reversed: true, reversalReason: 'Entered twice' }), 'u1');
+  await postPassbookPayment(db, payment({ id: 'pb2', paymentMethod: 'NOT_PAID' }), 'u1');
+
+  assert.equal(db.entries.length, 2);
+  assert.deepEqual(balances(db.entries), {});
+});
+
+test('an auction result splits the chit value between prize, commission and dividend', async () => {
+  const db = ledgerDb();
+  const auction = { id: 'a1', auctionDate: new Date('2026-06-01'), discountAmount: 20000 };
+
+  await postAuctionResult(db, auction, { chitValue: 100000, dividendAmount: 15000 });
+
+  assert.deepEqual(balances(db.entries), {
+    SUBSCRIBER_FUND: 100000,
+    PRIZE_PAYABLE: -80000,
+    COMMISSION_INCOME: -5000,
+    DIVIDENDS_CREDITED: -15000
+  });
+});
+
+test('lines that do not balance are refused', async () => {
+  const db = ledgerDb();
+
+  await assert.rejects(
+    syncPosting(db, { sourceType: 'TEST', sourceId: 't1', description: 'Broken' }, [
+      { account: 'CASH', debit: 100, credit: 0 },
+      { account: 'SUBSCRIBER_FUND', debit: 0, credit: 90 }
+    ]),
+    /Unbalanced journal/
+  );
+  assert.equal(db.entries.length, 0);
+});
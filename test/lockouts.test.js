@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assertCanAttempt, recordFailedLogin, recordSuccessfulLogin, unlockAccount } = require('../services/lockouts');
+const { memoryDb } = require('./support/memoryDb');
+
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+
+const lockoutsDb = () => memoryDb({
+  user: {
+    rows: [{ id: 'u1', failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }]
+  },
+  accountLockout: { defaults: { unlockedAt: null } }
+});
+
+test('each failure in a row doubles the wait before the next attempt', () => {
+  const now = new Date('2026-10-18T10:00:00Z');
+  const failedAt = (secondsAgo) => new Date(now.getTime() - secondsAgo * 1000);
+
+  assert.doesNotThrow(() => assertCanAttempt({ failedLoginAttempts: 0, lastFailedLoginAt: null }, now));
+  assert.throws(
+    () => assertCanAttempt({ failedLoginAttempts: 3, lastFailedLoginAt: failedAt(1) }, now),
+    { statusCode: 429, details: { retryAfter: 3 } }
+  );
+  assert.doesNotThrow(() => assertCanAttempt({ failedLoginAttempts: 3, lastFailedLoginAt: failedAt(4) }, now));
+  assert.throws(
+    () => assertCanAttempt({ failedLoginAttempts: 20, lastFailedLoginAt: failedAt(0) }, now),
+    { statusCode: 429, details: { retryAfter: 30 } }
+  );
+});
+
+test('a locked account is refused until the lock runs out', () => {
+  const now = new Date('2026-10-18T10:00:00Z');
+  const lockedUntil = new Date(now.getTime() + 60 * 1000);
+
+  assert.throws(() => assertCanAttempt({ lockedUntil }, now), { statusCode: 423, details: { lockedUntil } });
+  assert.doesNotThrow(() => assertCanAttempt({ lockedUntil }, new Date(lockedUntil.getTime() + 1)));
+});
+
+test('the fifth failure in a row locks the account and records the lockout', async () => {
+  const db = lockoutsDb();
+  const [user] = db.user.rows;
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.equal(await recordFailedLogin(db, user, req), null);
+  }
+  assert.equal(user.failedLoginAttempts, 4);
+
+  const lockout = await recordFailedLogin(db, user, req);
+
+  assert.equal(lockout.failedAttempts, 5);
+  assert.equal(lockout.ipAddress, '203.0.113.7');
+  assert.equal(user.lockedUntil.getTime(), lockout.lockedUntil.getTime());
+  assert.equal(lockout.lockedUntil.getTime() - lockout.lockedAt.getTime(), 15 * 60 * 1000);
+  assert.equal(user.failedLoginAttempts, 0);
+});
+
+test('a successful sign-in clears the failure count', async () => {
+  const db = lockoutsDb();
+  const [user] = db.user.rows;
+
+  await recordFailedLogin(db, user, req);
+  await recordSuccessfulLogin(db, user);
+
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(user.lastFailedLoginAt, null);
+});
+
+test('an admin unlock lifts the lock and notes who lifted it', async () => {
+  const db = lockoutsDb();
+  const [user] = db.user.rows;
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    await recordFailedLogin(db, user, req);
+  }
+
+  assert.equal(await unlockAccount(db, user.id, 'admin'), 1);
+  assert.equal(user.lockedUntil, null);
+  assert.equal(db.accountLockout.rows[0].unlockedById, 'admin');
+  assert.doesNotThrow(() => assertCanAttempt(user));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerNotifier } = require('../services/notifier');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResets');
+const { memoryDb } = require('./support/memoryDb');
+
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+
+const sent = [];
+registerNotifier('memory', {
+  send: async (message) => {
+    sent.push(message);
+  }
+});
+registerNotifier('broken', {
+  send: async () => {
+    throw new Error('Gateway unavailable');
+  }
+});
+
+const useNotifier = (name) => {
+  process.env.NOTIFIER = name;
+  sent.length = 0;
+};
+
+const resetsDb = () => memoryDb({
+  user: {
+    rows: [{ id: 'u1', email: 'agent@example.com', password: 'old-hash', failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }]
+  },
+  passwordReset: { defaults: () => ({ attempts: 0, usedAt: null }) },
+  session: { defaults: { revokedAt: null } }
+});
+
+const sentCode = () => sent[sent.length - 1].text.match(/code is (\d{6})/)[1];
+
+test('a reset code is sent to the account email and only its hash is kept', async () => {
+  useNotifier('memory');
+  const db = resetsDb();
+
+  assert.equal(await requestPasswordReset(db, db.user.rows[0], req), true);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'agent@example.com');
+  assert.equal(db.passwordReset.rows.length, 1);
+  assert.notEqual(db.passwordReset.rows[0].codeHash, sentCode());
+});
+
+test('a second request within a minute sends nothing', async () => {
+  useNotifier('memory');
+  const db = resetsDb();
+
+  await requestPasswordReset(db, db.user.rows[0], req);
+  assert.equal(await requestPasswordReset(db, db.user.rows[0], req), false);
+  assert.equal(sent.length, 1);
+});
+
+test('a code that could not be sent is dropped so the user can retry', async () => {
+  const db = resetsDb();
+
+  useNotifier('broken');
+  await assert.rejects(requestPasswordReset(db, db.user.rows[0], req), /Gateway unavailable/);
+  assert.equal(db.passwordReset.rows.length, 0);
+
+  useNotifier('memory');
+  assert.equal(await requestPasswordReset(db, db.user.rows[0], req), true);
+});
+
+test('the code resets the password once and signs out every session', async () => {
+  useNotifier('memory');
+  const db = resetsDb();
+  const [user] = db.user.rows;
+  db.session.rows.push({ id: 's1', userId: 'u1', revokedAt: null });
+
+  await requestPasswordReset(db, user, req);
+  const code = sentCode();
+
+  assert.equal(await resetPassword(db, user, code === '000000' ? '000001' : '000000', 'new-password-1'), false);
+  assert.equal(db.passwordReset.rows[0].attempts, 1);
+
+  assert.equal(await resetPassword(db, user, code, 'new-password-1'), true);
+  assert.notEqual(user.password, 'old-hash');
+  assert.ok(db.session.rows[0].revokedAt);
+  assert.equal(db.session.rows[0].revokedReason, 'Password reset');
+
+  await assert.rejects(resetPassword(db, user, code, 'new-password-2'), { statusCode: 400 });
+});
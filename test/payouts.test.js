@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPayout, updateGuarantor, verifyGuarantor, approvePayout, releasePayout } = require('../services/payouts');
+const { memoryDb } = require('./support/memoryDb');
+const { ledgerDb, balances } = require('./support/ledgerDb');
+
+const payoutsDb = () => ({
+  ...memoryDb({
+    auction: {
+      rows: [{
+        id: 'a1',
+        chitSchemeId: 's1',
+        winningMemberId: 'c1',
+        discountAmount: 20000,
+        chitScheme: { id: 's1', chitValue: 100000 }
+      }]
+    },
+    customerScheme: {
+      rows: [{ id: 'cs1', customerId: 'c1', schemeId: 's1' }]
+    },
+    payout: {
+      defaults: () => ({
+        status: 'PENDING_DOCUMENTS',
+        guarantorName: null,
+        guarantorMobile: null,
+        securityDocuments: []
+      }),
+      unique: [['auctionId']]
+    }
+  }),
+  ...ledgerDb()
+});
+
+const guarantor = {
+  guarantorName: 'Ravi Kumar',
+  guarantorMobile: '9876501234',
+  securityDocuments: ['uploads/property-deed.pdf']
+};
+
+test('a completed auction opens one payout for the prize money', async () => {
+  const db = payoutsDb();
+
+  const payout = await openPayout(db, 'a1');
+  const again = await openPayout(db, 'a1');
+
+  assert.equal(again.id, payout.id);
+  assert.equal(db.payout.rows.length, 1);
+  assert.equal(payout.customerSchemeId, 'cs1');
+  assert.equal(payout.amount, 80000);
+  assert.equal(payout.status, 'PENDING_DOCUMENTS');
+});
+
+test('the guarantor cannot be verified without details and documents', async () => {
+  const db = payoutsDb();
+  const payout = await openPayout(db, 'a1');
+
+  await assert.rejects(verifyGuarantor(db, payout.id, 'agent'), {
+    statusCode: 400,
+    message: /Guarantor name, mobile and at least one security document/
+  });
+  assert.equal(payout.status, 'PENDING_DOCUMENTS');
+});
+
+test('a payout moves through verification and approval before it is paid', async () => {
+  const db = payoutsDb();
+  const { id } = await openPayout(db, 'a1');
+
+  await updateGuarantor(db, id, guarantor);
+  await verifyGuarantor(db, id, 'agent');
+  await approvePayout(db, id, 'admin', 'Documents checked');
+  const paid = await releasePayout(db, id, 'admin', { paymentMethod: 'BANK_TRANSFER', paymentReference: 'UTR123' });
+
+  assert.equal(paid.status, 'PAID');
+  assert.equal(paid.verifiedById, 'agent');
+  assert.equal(paid.approvedById, 'admin');
+  assert.equal(paid.releasedById, 'admin');
+  assert.deepEqual(balances(db.entries), { PRIZE_PAYABLE: 80000, BANK: -80000 });
+});
+
+test('steps cannot be skipped or repeated', async () => {
+  const db = payoutsDb();
+  const { id } = await openPayout(db, 'a1');
+
+  await assert.rejects(approvePayout(db, id, 'admin'), {
+    statusCode: 400,
+    message: 'Payout is PENDING_DOCUMENTS, expected GUARANTOR_VERIFIED'
+  });
+  await assert.rejects(releasePayout(db, id, 'admin', { paymentMethod: 'CASH' }), { statusCode: 400 });
+
+  await updateGuarantor(db, id, guarantor);
+  await verifyGuarantor(db, id, 'agent');
+  await assert.rejects(verifyGuarantor(db, id, 'agent'), { statusCode: 400 });
+  await assert.rejects(updateGuarantor(db, id, { guarantorName: 'Someone else' }), { statusCode: 400 });
+
+  assert.equal(db.entries.length, 0);
+});
+
+test('an unknown payout is reported as not found', async () => {
+  await assert.rejects(approvePayout(payoutsDb(), 'missing', 'admin'), { statusCode: 404 });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePenalties, accruePenalties, pendingPenalties } = require('../services/penalties');
+const { memoryDb } = require('./support/memoryDb');
+const { ledgerDb, balances } = require('./support/ledgerDb');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * DAY_MS);
+
+const scheme = { penaltyRate: 0.02, penaltyGraceDays: 5 };
+
+const installment = (id, dueDay, amount = 1000) => ({
+  id,
+  customerSchemeId: 'cs1',
+  date: day(dueDay),
+  dailyPayment: amount,
+  type: 'GENERATED'
+});
+
+test('an unpaid installment is charged once per 30 days after the grace period', () => {
+  const charges = calculatePenalties(scheme, [installment('i1', 0)], [], day(40));
+
+  assert.deepEqual(charges.map(charge => [charge.period, charge.chargedOn.getTime(), charge.amount]), [
+    [1, day(5).getTime(), 20],
+    [2, day(35).getTime(), 20]
+  ]);
+});
+
+test('nothing is charged within the grace period or without a rate', () => {
+  assert.deepEqual(calculatePenalties(scheme, [installment('i1', 0)], [], day(5)), []);
+  assert.deepEqual(calculatePenalties({ penaltyRate: 0 }, [installment('i1', 0)], [], day(90)), []);
+});
+
+test('part payments reduce the overdue amount charged', () => {
+  const charges = calculatePenalties(scheme, [installment('i1', 0)], [{ date: day(2), amount: 400 }], day(10));
+
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].overdueAmount, 600);
+  assert.equal(charges[0].amount, 12);
+});
+
+test('payments settle the oldest installment first', () => {
+  const installments = [installment('i1', 0), installment('i2', 10)];
+  const charges = calculatePenalties(scheme, installments, [{ date: day(1), amount: 1000 }], day(20));
+
+  assert.deepEqual(charges.map(charge => charge.passbookEntryId), ['i2']);
+});
+
+test('a late payment stops further periods being charged', () => {
+  const charges = calculatePenalties(scheme, [installment('i1', 0)], [{ date: day(20), amount: 1000 }], day(90));
+
+  assert.deepEqual(charges.map(charge => charge.period), [1]);
+});
+
+const penaltiesDb = () => ({
+  ...memoryDb({
+    customerScheme: {
+      rows: [{ id: 'cs1', scheme: { id: 's1', ...scheme } }]
+    },
+    passbookEntry: {
+      rows: [installment('i1', 0), installment('i2', 30)]
+    },
+    collection: {},
+    penalty: { unique: [['passbookEntryId', 'period']] }
+  }),
+  ...ledgerDb()
+});
+
+test('accrual records each charge once and posts the total to the ledger', async () => {
+  const db = penaltiesDb();
+  const asOf = day(40);
+
+  assert.equal(await accruePenalties(db, ['cs1'], asOf), 3);
+  assert.equal(await accruePenalties(db, ['cs1'], asOf), 0);
+
+  assert.equal(db.penalty.rows.length, 3);
+  assert.equal(db.entries.length, 1);
+  assert.deepEqual(balances(db.entries), { PENALTY_RECEIVABLE: 60, PENALTY_INCOME: -60 });
+});
+
+test('pending penalties are worked out without recording anything', async () => {
+  const db = penaltiesDb();
+
+  assert.deepEqual(await pendingPenalties(db, ['cs1'], day(40)), { cs1: 60 });
+  assert.equal(db.penalty.rows.length, 0);
+  assert.equal(db.entries.length, 0);
+
+  await accruePenalties(db, ['cs1'], day(40));
+  assert.deepEqual(await pendingPenalties(db, ['cs1'], day(40)), { cs1: 0 });
+  assert.deepEqual(await pendingPenalties(db, ['cs1'], day(70)), { cs1: 40 });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { financialYear, receiptNumber, issueReceipt, syncReceipt, passbookPayment } = require('../services/receipts');
+const { memoryDb } = require('./support/memoryDb');
+
+const receiptsDb = () => memoryDb({
+  customerScheme: {
+    rows: [{
+      id: 'cs1',
+      ticketNumber: 7,
+      customer: { id: 'c1', name: 'Lakshmi', mobile: '9876543210' },
+      scheme: { id: 's1', name: 'Gold 1L', branchCode: 'VJA' }
+    }]
+  },
+  customer: {},
+  receiptSequence: { unique: [['branchCode', 'financialYear']] },
+  receipt: { defaults: { status: 'ISSUED' } }
+});
+
+const entry = (overrides = {}) => ({
+  id: 'pb1',
+  customerSchemeId: 'cs1',
+  paymentMethod: 'CASH',
+  date: new Date('2026-05-10'),
+  ...overrides
+});
+
+test('financial years run from April to March', () => {
+  assert.equal(financialYear(new Date('2026-03-31T12:00:00+05:30')), '2025-26');
+  assert.equal(financialYear(new Date('2026-04-01T12:00:00+05:30')), '2026-27');
+  assert.equal(financialYear(new Date('2099-12-31T12:00:00+05:30')), '2099-00');
+  // Years change at midnight in India, not at midnight UTC
+  assert.equal(financialYear(new Date('2026-03-31T23:59:00+05:30')), '2025-26');
+  assert.equal(financialYear(new Date('2026-04-01T00:15:00+05:30')), '2026-27');
+});
+
+test('receipt numbers carry the branch, year and a zero-padded sequence', () => {
+  assert.equal(receiptNumber('MAIN', '2026-27', 42), 'MAIN-2627-000042');
+});
+
+test('receipts are numbered one after another per branch and year', async () => {
+  const db = receiptsDb();
+
+  const first = await issueReceipt(db, passbookPayment(entry(), 500), 'u1');
+  const second = await issueReceipt(db, passbookPayment(entry({ id: 'pb2' }), 250), 'u1');
+
+  const year = financialYear(new Date());
+  assert.equal(first.sequence, 1);
+  assert.equal(second.sequence, 2);
+  assert.equal(second.number, receiptNumber('VJA', year, 2));
+  assert.equal(first.customerName, 'Lakshmi');
+  assert.equal(first.ticketNumber, 7);
+});
+
+test('no receipt is issued for unpaid or zero payments', async () => {
+  const db = receiptsDb();
+
+  assert.equal(await issueReceipt(db, passbookPayment(entry({ paymentMethod: 'NOT_PAID' }), 500), 'u1'), null);
+  assert.equal(await issueReceipt(db, passbookPayment(entry(), 0), 'u1'), null);
+  assert.equal(db.receiptSequence.rows.length, 0);
+});
+
+test('an unchanged payment keeps its receipt', async () => {
+  const db = receiptsDb();
+
+  const issued = await issueReceipt(db, passbookPayment(entry(), 500), 'u1');
+  const synced = await syncReceipt(db, passbookPayment(entry(), 500), 'u1', 'Payment amended');
+
+  assert.equal(synced, issued);
+  assert.equal(db.receipt.rows.length, 1);
+});
+
+test('an amended payment cancels its receipt and takes the next number', async () => {
+  const db = receiptsDb();
+
+  const issued = await issueReceipt(db, passbookPayment(entry(), 500), 'u1');
+  const replacement = await syncReceipt(db, passbookPayment(entry(), 300), 'u1', 'Payment amended');
+
+  assert.equal(issued.status, 'CANCELLED');
+  assert.equal(issued.cancellationReason, 'Payment amended');
+  assert.equal(replacement.sequence, 2);
+  assert.equal(replacement.amount, 300);
+});
+
+test('a reversed payment only cancels its receipt', async () => {
+  const db = receiptsDb();
+
+  const issued = await issueReceipt(db, passbookPayment(entry(), 500), 'u1');
+  const replacement = await syncReceipt(db, passbookPayment(entry(), 0), 'u1', 'Payment reversed: wrong member');
+
+  assert.equal(replacement, null);
+  assert.equal(issued.status, 'CANCELLED');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const ExcelJS = require('exceljs');
+const { sendReport } = require('../services/reportExport');
+
+const report = {
+  title: 'Collections',
+  filename: 'collections',
+  columns: [
+    { key: 'name', label: 'Customer', type: 'text' },
+    { key: 'amount', label: 'Amount', type: 'amount' }
+  ],
+  rows: [
+    { name: '=HYPERLINK("http://example.com")', amount: 1234567 },
+    { name: '@SUM(A1)', amount: -1234567 },
+    { name: 'Lakshmi', amount: -500 }
+  ]
+};
+
+// Collect what a report writes to the response
+const download = async (format) => {
+  const res = new PassThrough();
+  res.setHeader = () => {};
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => res.on('end', resolve));
+
+  await sendReport(res, format, report);
+  await ended;
+  return Buffer.concat(chunks);
+};
+
+test('csv text that a spreadsheet would run as a formula is escaped', async () => {
+  const lines = (await download('csv')).toString('utf8').replace('﻿', '').split('\r\n');
+
+  assert.equal(lines[1], `"'=HYPERLINK(""http://example.com"")","12,34,567"`);
+  assert.equal(lines[2], `'@SUM(A1),"-12,34,567"`);
+  assert.equal(lines[3], 'Lakshmi,-500');
+});
+
+test('xlsx amounts are grouped in lakhs and crores, negatives included', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await download('xlsx'));
+  const sheet = workbook.worksheets[0];
+
+  // Title, blank line and header come first. ExcelJS drops the backslashes
+  // in front of the literal commas when it reads the file back.
+  assert.equal(sheet.getCell('B4').value, 1234567);
+  assert.equal(sheet.getCell('B4').numFmt, '##,##,##0;-##,##,##0');
+  assert.equal(sheet.getCell('B5').value, -1234567);
+  assert.equal(sheet.getCell('B5').numFmt, '##,##,##0;-##,##,##0');
+  assert.equal(sheet.getCell('B6').numFmt, '#,##0;-#,##0');
+});
@@ -0,0 +1,46 @@
+// Journal entries with their lines, grouped by account like Prisma would
+const ledgerDb = () => {
+  const entries = [];
+
+  return {
+    entries,
+    journalEntry: {
+      create: async ({ data }) => {
+        const entry = { id: `je${entries.length + 1}`, ...data, lines: data.lines.create };
+        entries.push(entry);
+        return entry;
+      }
+    },
+    journalLine: {
+      groupBy: async ({ where }) => {
+        const { sourceType, sourceId } = where.journalEntry;
+        const sums = {};
+        entries
+          .filter(entry => entry.sourceType === sourceType && entry.sourceId === sourceId)
+          .forEach(entry => entry.lines.forEach(line => {
+            sums[line.account] = sums[line.account] || { debit: 0, credit: 0 };
+            sums[line.account].debit += line.debit;
+            sums[line.account].credit += line.credit;
+          }));
+        return Object.entries(sums).map(([account, _sum]) => ({ account, _sum }));
+      }
+    }
+  };
+};
+
+// Net debit per account over every entry posted
+const balances = (entries) => {
+  const net = {};
+  entries.forEach(entry => entry.lines.forEach(line => {
+    net[line.account] = (net[line.account] || 0) + line.debit - line.credit;
+  }));
+  Object.keys(net).forEach(account => {
+    if (net[account] === 0) delete net[account];
+  });
+  return net;
+};
+
+module.exports = {
+  ledgerDb,
+  balances
+};
@@ -0,0 +1,202 @@
+// In-memory stand-in for the Prisma client, covering the queries the services
+// run. Each model is an array of rows; `$transaction` runs the callback against
+// the same store, so tests see every write a service made. Relations are
+// plain objects embedded in a row and can be filtered on; the ledger's
+// grouped queries go to ./ledgerDb instead.
+
+let nextId = 1;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !(value instanceof Date) && !Array.isArray(value);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const FILTER_KEYS = ['equals', 'not', 'in', 'gt', 'gte', 'lt', 'lte', 'isEmpty'];
+
+const matchesValue = (value, filter) => {
+  const isFilter = isPlainObject(filter) && Object.keys(filter).every(key => FILTER_KEYS.includes(key));
+
+  if (!isFilter && isPlainObject(value) && isPlainObject(filter)) {
+    return matches(value, filter);
+  }
+  if (!isFilter) {
+    return comparable(value ?? null) === comparable(filter ?? null);
+  }
+
+  return Object.entries(filter).every(([op, operand]) => {
+    switch (op) {
+      case 'equals': return comparable(value ?? null) === comparable(operand ?? null);
+      case 'not': return !matchesValue(value, operand);
+      case 'in': return operand.map(comparable).includes(comparable(value));
+      case 'gt': return value !== null && value !== undefined && comparable(value) > comparable(operand);
+      case 'gte': return value !== null && value !== undefined && comparable(value) >= comparable(operand);
+      case 'lt': return value !== null && value !== undefined && comparable(value) < comparable(operand);
+      case 'lte': return value !== null && value !== undefined && comparable(value) <= comparable(operand);
+      case 'isEmpty': return (value || []).length === 0 === operand;
+      default: return false;
+    }
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, filter]) => {
+  if (key === 'OR') return filter.some(branch => matches(row, branch));
+  if (key === 'AND') return [].concat(filter).every(branch => matches(row, branch));
+  if (key === 'NOT') return ![].concat(filter).some(branch => matches(row, branch));
+  return matchesValue(row[key], filter);
+});
+
+// Compound unique keys such as customerId_schemeId: { customerId, schemeId }
+const flattenWhere = (where = {}) => {
+  const flat = {};
+  Object.entries(where).forEach(([key, value]) => {
+    if (key.includes('_') && isPlainObject(value)) {
+      Object.assign(flat, value);
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+};
+
+const applyData = (row, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && 'increment' in value) {
+      row[key] = (row[key] || 0) + value.increment;
+    } else if (isPlainObject(value) && 'decrement' in value) {
+      row[key] = (row[key] || 0) - value.decrement;
+    } else if (value !== undefined) {
+      row[key] = value;
+    }
+  });
+  return row;
+};
+
+const sortRows = (rows, orderBy) => {
+  const orders = [].concat(orderBy || []);
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [field, direction] = Object.entries(order)[0];
+      const left = comparable(a[field]);
+      const right = comparable(b[field]);
+      if (left < right) return direction === 'desc' ? 1 : -1;
+      if (left > right) return direction === 'desc' ? -1 : 1;
+    }
+    return 0;
+  });
+};
+
+const sumFields = (rows, fields = {}) => {
+  const sums = {};
+  Object.keys(fields).forEach(field => {
+    sums[field] = rows.length > 0 ? rows.reduce((sum, row) => sum + (row[field] || 0), 0) : null;
+  });
+  return sums;
+};
+
+const createModel = (rows, { defaults = {}, unique = [] } = {}) => {
+  const insert = (data) => {
+    const row = {
+      id: `id${nextId++}`,
+      createdAt: new Date(),
+      ...(typeof defaults === 'function' ? defaults() : defaults),
+      ...data
+    };
+    rows.push(row);
+    return row;
+  };
+
+  const duplicate = (data) => unique.some(fields => rows.some(row =>
+    fields.every(field => comparable(row[field]) === comparable(data[field]))
+  ));
+
+  const findUnique = async ({ where }) => rows.find(row => matches(row, flattenWhere(where))) || null;
+
+  return {
+    rows,
+    findUnique,
+    findFirst: async ({ where, orderBy } = {}) => sortRows(rows.filter(row => matches(row, where)), orderBy)[0] || null,
+    findMany: async ({ where, orderBy } = {}) => sortRows(rows.filter(row => matches(row, where)), orderBy),
+    count: async ({ where } = {}) => rows.filter(row => matches(row, where)).length,
+    create: async ({ data }) => {
+      if (duplicate(data)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      return insert(data);
+    },
+    createMany: async ({ data, skipDuplicates }) => {
+      let count = 0;
+      data.forEach(item => {
+        if (duplicate(item)) {
+          if (skipDuplicates) return;
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        insert(item);
+        count++;
+      });
+      return { count };
+    },
+    update: async ({ where, data }) => {
+      const row = await findUnique({ where });
+      if (!row) {
+        throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+      }
+      return applyData(row, data);
+    },
+    updateMany: async ({ where, data }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => applyData(row, data));
+      return { count: matched.length };
+    },
+    upsert: async ({ where, create, update }) => {
+      const row = await findUnique({ where });
+      return row ? applyData(row, update) : insert(create);
+    },
+    delete: async ({ where }) => {
+      const row = await findUnique({ where });
+      rows.splice(rows.indexOf(row), 1);
+      return row;
+    },
+    deleteMany: async ({ where } = {}) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { count: matched.length };
+    },
+    aggregate: async ({ where, _sum }) => ({
+      _sum: sumFields(rows.filter(row => matches(row, where)), _sum)
+    }),
+    groupBy: async ({ by, where, _sum }) => {
+      const groups = new Map();
+      rows.filter(row => matches(row, where)).forEach(row => {
+        const key = JSON.stringify(by.map(field => comparable(row[field]) ?? null));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+      return [...groups.values()].map(group => ({
+        ...Object.fromEntries(by.map(field => [field, group[0][field]])),
+        _sum: sumFields(group, _sum)
+      }));
+    }
+  };
+};
+
+// `models` maps a delegate name to { rows, defaults, unique } (all optional)
+const memoryDb = (models) => {
+  const db = {
+    $queryRaw: async () => [],
+    // The client the transaction was started on, so delegates merged in
+    // alongside (e.g. { ...memoryDb(models), ...ledgerDb() }) are seen too
+    async $transaction(callback) {
+      return callback(this);
+    }
+  };
+
+  Object.entries(models).forEach(([name, options = {}]) => {
+    db[name] = createModel(options.rows || [], options);
+  });
+
+  return db;
+};
+
+module.exports = {
+  memoryDb
+};
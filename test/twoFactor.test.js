@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { verifyCode, otpauthUrl } = require('../utils/totp');
+const { signLoginToken, verifyLoginToken, generateBackupCodes, verifySecondFactor } = require('../services/twoFactor');
+const { memoryDb } = require('./support/memoryDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// RFC 6238 test secret ("12345678901234567890" in base32); its code at 59 s is 287082
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Run `callback` with the clock at `time` (ms since the epoch)
+const at = async (time, callback) => {
+  const now = Date.now;
+  Date.now = () => time;
+  try {
+    return await callback();
+  } finally {
+    Date.now = now;
+  }
+};
+
+test('codes match the RFC 6238 reference values', () => {
+  assert.equal(verifyCode(SECRET, '287082', 59 * 1000), 1);
+  assert.equal(verifyCode(SECRET, '081804', 1111111109 * 1000), 37037036);
+});
+
+test('codes from one step either side are accepted, older ones are not', () => {
+  assert.equal(verifyCode(SECRET, '287082', 89 * 1000), 1);
+  assert.equal(verifyCode(SECRET, '287 082', 30 * 1000), 1);
+  assert.equal(verifyCode(SECRET, '287082', 119 * 1000), null);
+  assert.equal(verifyCode(SECRET, '28708', 59 * 1000), null);
+});
+
+test('the setup link names the issuer and account', () => {
+  assert.equal(
+    otpauthUrl(SECRET, 'admin@example.com', 'Bhavani Chit Funds'),
+    `otpauth://totp/Bhavani%20Chit%20Funds%3Aadmin%40example.com?secret=${SECRET}&issuer=Bhavani%20Chit%20Funds&algorithm=SHA1&digits=6&period=30`
+  );
+});
+
+const twoFactorDb = () => memoryDb({
+  user: {
+    rows: [{ id: 'u1', twoFactorEnabled: true, twoFactorSecret: SECRET, twoFactorLastCounter: null }]
+  },
+  twoFactorBackupCode: { defaults: { usedAt: null } }
+});
+
+test('an authenticator code works only once', async () => {
+  const db = twoFactorDb();
+  const [user] = db.user.rows;
+
+  await at(59 * 1000, async () => {
+    assert.equal(await verifySecondFactor(db, user, { code: '287082' }), true);
+    assert.equal(await verifySecondFactor(db, user, { code: '287082' }), false);
+  });
+  assert.equal(user.twoFactorLastCounter, 1);
+});
+
+test('wrong codes and empty answers are refused', async () => {
+  const db = twoFactorDb();
+  const [user] = db.user.rows;
+
+  await at(59 * 1000, async () => {
+    assert.equal(await verifySecondFactor(db, user, { code: '123456' }), false);
+    assert.equal(await verifySecondFactor(db, user, {}), false);
+  });
+  assert.equal(user.twoFactorLastCounter, null);
+});
+
+test('each backup code works once, however it is typed', async () => {
+  const db = twoFactorDb();
+  const [user] = db.user.rows;
+
+  const codes = await generateBackupCodes(db, user.id);
+  assert.equal(codes.length, 10);
+  assert.match(codes[0], /^[a-z2-9]{5}-[a-z2-9]{5}$/);
+
+  assert.equal(await verifySecondFactor(db, user, { backupCode: codes[0].toUpperCase().replace('-', ' ') }), true);
+  assert.equal(await verifySecondFactor(db, user, { backupCode: codes[0] }), false);
+  assert.equal(await verifySecondFactor(db, user, { backupCode: codes[1] }), true);
+});
+
+test('new backup codes replace the old set', async () => {
+  const db = twoFactorDb();
+
+  const [old] = await generateBackupCodes(db, 'u1');
+  await generateBackupCodes(db, 'u1');
+
+  assert.equal(db.twoFactorBackupCode.rows.length, 10);
+  assert.equal(await verifySecondFactor(db, db.user.rows[0], { backupCode: old }), false);
+});
+
+test('only a two-factor login token is accepted between password and code', () => {
+  assert.equal(verifyLoginToken(signLoginToken({ id: 'u1' })), 'u1');
+
+  const accessToken = jwt.sign({ userId: 'u1', sessionId: 's1' }, process.env.JWT_SECRET);
+  assert.throws(() => verifyLoginToken(accessToken), { statusCode: 401 });
+  assert.throws(() => verifyLoginToken('not-a-token'), { statusCode: 401 });
+});
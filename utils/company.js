@@ -0,0 +1,15 @@
+// Company details printed at the top of every PDF and named in messages to users
+const letterhead = () => ({
+  name: process.env.COMPANY_NAME || 'Bhavani Chit Funds',
+  lines: [
+    process.env.COMPANY_ADDRESS,
+    [process.env.COMPANY_PHONE && `Phone: ${process.env.COMPANY_PHONE}`, process.env.COMPANY_EMAIL && `Email: ${process.env.COMPANY_EMAIL}`]
+      .filter(Boolean)
+      .join('  |  '),
+    process.env.COMPANY_REGISTRATION && `Regn. No: ${process.env.COMPANY_REGISTRATION}`
+  ].filter(Boolean)
+});
+
+module.exports = {
+  letterhead
+};
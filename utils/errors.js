@@ -0,0 +1,14 @@
+// Error carrying an HTTP status, so a route can abort a Prisma transaction
+// from deep inside it and still answer with the usual { success, message } shape
+class ApiError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ApiError
+};
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Random token handed to a user once; only its hash is stored
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Random numeric code short enough to type from a text message or email
+const generateCode = (digits = 6) => String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  generateCode,
+  hashToken
+};
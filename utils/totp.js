@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// six digits from HMAC-SHA1 over 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clocks that drift
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeAt = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Time step a code belongs to, or null when it matches none in the window
+const verifyCode = (secret, code, time = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const counter = currentCounter(time);
+  for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+    const candidate = Buffer.from(codeAt(secret, counter + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return counter + drift;
+    }
+  }
+  return null;
+};
+
+// Link that authenticator apps read from a QR code
+const otpauthUrl = (secret, accountName, issuer) => (
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}?secret=${secret}` +
+  `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+);
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  otpauthUrl
+};